@@ -0,0 +1,359 @@
+// ==========================================
+// Diane's Arcade - Achievements
+// Definitions and the stats they are checked against
+// ==========================================
+//
+// server.js gathers a player's records, passes them to
+// buildAchievementStats(), and unlocks every achievement whose check(stats)
+// passes. Nothing in here reads the store, so each check can be exercised
+// with plain records (see test/achievements.test.js).
+//
+// "Win" and "loss" below mean a run that did or didn't beat the player's best
+// score in that game so far. A player's first run in a game is a win.
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Active time in an hour of the day before it counts as played in that window
+const PLAY_WINDOW_MIN_SECONDS = 60;
+// Accounts registered this long after the first one count as early birds
+const FIRST_MONTH_MS = 30 * DAY_MS;
+
+const EARN_TO_DIE_GAMES = ['earntodie', 'earntodie2012', 'EarntoDie2016', 'EarntoDiePart2'];
+
+// Every achievement the arcade offers
+const ACHIEVEMENTS = [
+    // STARTER ACHIEVEMENTS
+    { id: 'annie_hall', name: 'Annie Hall', description: 'Play your first game', icon: '🎬', xp_reward: 10, film: '1977 - Academy Award Winner', check: s => s.totalPlays >= 1 },
+    { id: 'first_steps', name: 'First Steps', description: 'Create your arcade profile', icon: '👣', xp_reward: 5, film: 'Welcome to the Arcade', check: () => true },
+    { id: 'coffee_break', name: 'Coffee Break', description: 'Play 5 games', icon: '☕', xp_reward: 25, film: 'Diane\'s Favorite Beverage', check: s => s.totalPlays >= 5 },
+
+    // LEVEL ACHIEVEMENTS
+    { id: 'godfather', name: 'The Godfather', description: 'Reach Level 10', icon: '👑', xp_reward: 50, film: '1972 - Classic Mob Film', check: s => s.level >= 10 },
+    { id: 'godfather_2', name: 'The Godfather Part II', description: 'Reach Level 20', icon: '🎭', xp_reward: 75, film: '1974 - Epic Sequel', check: s => s.level >= 20 },
+    { id: 'manhattan', name: 'Manhattan', description: 'Reach Level 25', icon: '🏙️', xp_reward: 100, film: '1979 - Woody Allen Classic', check: s => s.level >= 25 },
+    { id: 'marvins_room', name: "Marvin's Room", description: 'Reach Level 50', icon: '🏠', xp_reward: 250, film: '1996 - Drama with Meryl Streep', check: s => s.level >= 50 },
+    { id: 'century', name: 'Century Club', description: 'Climb 100 levels in total, counting prestiges', icon: '💯', xp_reward: 500, film: 'Elite Status', check: s => s.levelsClimbed >= 100 },
+
+    // SCORE ACHIEVEMENTS
+    { id: 'something_gotta_give', name: "Something's Gotta Give", description: 'Score 10,000 points total', icon: '💎', xp_reward: 100, film: '2003 - Romantic Comedy', check: s => s.totalScore >= 10000 },
+    { id: 'big_score', name: 'Big Score', description: 'Score 50,000 points total', icon: '💰', xp_reward: 200, film: 'High Roller', check: s => s.totalScore >= 50000 },
+    { id: 'mega_score', name: 'Mega Score', description: 'Score 100,000 points total', icon: '🌟', xp_reward: 300, film: 'Score Master', check: s => s.totalScore >= 100000 },
+    { id: 'legendary', name: 'Legendary', description: 'Score 1,000,000 points total', icon: '👑', xp_reward: 1000, film: 'Arcade Legend', check: s => s.totalScore >= 1000000 },
+
+    // GAME COMPLETION
+    { id: 'reds', name: 'Reds', description: 'Earn 20 achievements', icon: '⭐', xp_reward: 150, film: '1981 - Epic Historical Drama', check: s => s.unlockedCount >= 20 },
+    { id: 'first_wives_club', name: 'First Wives Club', description: 'Set a score in every game that tracks scores', icon: '💪', xp_reward: 500, film: '1996 - Comedy Classic', check: s => s.trustedGameIds.length > 0 && s.trustedGameIds.every(id => s.scoredGames.has(id)) },
+    { id: 'father_bride', name: 'Father of the Bride', description: 'Play 100 games', icon: '👰', xp_reward: 300, film: '1991 - Family Comedy', check: s => s.totalPlays >= 100 },
+    { id: 'father_bride_2', name: 'Father of the Bride Part II', description: 'Play 200 games', icon: '👶', xp_reward: 400, film: '1995 - Family Sequel', check: s => s.totalPlays >= 200 },
+    { id: 'baby_boom', name: 'Baby Boom', description: 'Beat your best score 5 times in one day', icon: '🍼', xp_reward: 75, film: '1987 - Comedy Hit', check: s => s.mostWinsInOneDay >= 5 },
+
+    // EXPLORATION
+    { id: 'manhattan_murder', name: 'Manhattan Murder Mystery', description: 'Try all 20 games', icon: '🔍', xp_reward: 125, film: '1993 - Mystery Comedy', check: s => s.availableGameIds.every(id => s.playedGames.has(id)) },
+    { id: 'sleeper', name: 'Sleeper', description: 'Play for 24 hours total', icon: '😴', xp_reward: 200, film: '1973 - Sci-Fi Comedy', check: s => s.playtimeSeconds >= 24 * HOUR_SECONDS },
+    { id: 'interiors', name: 'Interiors', description: 'Customize your profile theme', icon: '🖼️', xp_reward: 50, film: '1978 - Bergman-esque Drama', check: s => s.profile.banner },
+    { id: 'night_owl', name: 'Night Owl', description: 'Play between midnight and 6 AM', icon: '🦉', xp_reward: 50, film: 'Late Night Gaming', check: s => s.playHours.some(h => h < 6) },
+    { id: 'morning_glory', name: 'Morning Glory', description: 'Play before 8 AM', icon: '🌅', xp_reward: 50, film: '2010 - Comedy Drama', check: s => s.playHours.some(h => h < 8) },
+
+    // PERSISTENCE
+    { id: 'love_death', name: 'Love and Death', description: 'Fall short of your best 100 times and keep playing', icon: '💀', xp_reward: 50, film: '1975 - Philosophical Comedy', check: s => s.losses >= 100 },
+    { id: 'play_again_sam', name: 'Play It Again, Sam', description: 'Replay a game 10 times', icon: '🎭', xp_reward: 100, film: '1972 - Romantic Comedy', check: s => s.maxPlaysOfOneGame >= 10 },
+    { id: 'never_give_up', name: 'Never Give Up', description: 'Play 7 days in a row', icon: '🔥', xp_reward: 150, film: 'Dedication', check: s => s.longestDailyStreak >= 7 },
+    { id: 'town_country', name: 'Town & Country', description: 'Sync cloud saves from 2 different devices', icon: '🌆', xp_reward: 75, film: '2001 - Comedy', check: s => s.saveDevices.size >= 2 },
+
+    // PERFECTION
+    { id: 'shoot_moon', name: 'Shoot the Moon', description: 'Get a perfect score on any game', icon: '🌙', xp_reward: 300, film: '1982 - Family Drama', check: s => s.perfectScore },
+    { id: 'flawless', name: 'Flawless Victory', description: 'Win 3 runs of a game without losing once', icon: '✨', xp_reward: 200, film: 'Perfect Performance', check: s => s.flawlessGame },
+    { id: 'speed_demon', name: 'Speed Demon', description: 'Beat your best in a round under 5 minutes', icon: '⚡', xp_reward: 150, film: 'Lightning Fast', check: s => s.fastestWinSeconds < 5 * 60 },
+    { id: 'radio_days', name: 'Radio Days', description: 'Play for 10 hours straight', icon: '📻', xp_reward: 250, film: '1987 - Nostalgic Comedy', check: s => s.longestSessionSeconds >= 10 * HOUR_SECONDS },
+
+    // SOCIAL
+    { id: 'good_mother', name: 'The Good Mother', description: 'Add 50 friends', icon: '✨', xp_reward: 150, film: '1988 - Drama', check: s => s.friendCount >= 50 },
+    { id: 'social_butterfly', name: 'Social Butterfly', description: 'Make 10 friends', icon: '🦋', xp_reward: 100, film: 'Community Member', check: s => s.friendCount >= 10 },
+    { id: 'helpful', name: 'Helpful Friend', description: 'Rate 10 games', icon: '🤝', xp_reward: 75, film: 'Supporting Others', check: s => s.ratingsGiven >= 10 },
+    { id: 'hanging_up', name: 'Hanging Up', description: 'Send 25 friend requests', icon: '📞', xp_reward: 100, film: '2000 - Family Comedy', check: s => s.friendRequestsSent >= 25 },
+    { id: 'book_club', name: 'Book Club', description: 'Favorite 5 games', icon: '📚', xp_reward: 125, film: '2018 - Comedy', check: s => s.favoriteCount >= 5 },
+
+    // SPECIFIC GAMES
+    { id: 'mars_miner', name: 'Mars Miner', description: 'Spend an hour mining in MotherLoad', icon: '⛏️', xp_reward: 100, film: 'Martian Master', check: s => (s.playtimeByGame.motherload || 0) >= HOUR_SECONDS },
+    { id: 'unicorn_master', name: 'Unicorn Master', description: 'Score 100,000 in Robot Unicorn Attack', icon: '🦄', xp_reward: 150, film: 'Always Believe', check: s => s.bestScore('robotunicornattack') >= 100000 },
+    { id: 'zombie_hunter', name: 'Zombie Hunter', description: 'Play every Earn to Die game', icon: '🧟', xp_reward: 200, film: 'Apocalypse Survivor', check: s => s.gameSeriesPlayed(EARN_TO_DIE_GAMES) },
+    { id: 'quick_draw', name: 'Quick Draw', description: 'Fight 10 Gun Blood duels', icon: '🔫', xp_reward: 125, film: 'Western Legend', check: s => s.playsOf('gunblood') >= 10 },
+    { id: 'raft_champion', name: 'Raft Champion', description: 'Play both Raft Wars games', icon: '🚣', xp_reward: 150, film: 'Treasure Defender', check: s => s.gameSeriesPlayed(['raftwars', 'raftwars2']) },
+
+    // COLLECTION
+    { id: 'movie_night', name: 'Movie Night', description: 'Watch 5 Diane Keaton films', icon: '🍿', xp_reward: 50, film: 'Film Buff', check: s => s.moviesWatched >= 5 },
+    { id: 'collector', name: 'Collector', description: 'Unlock 10 achievements', icon: '📚', xp_reward: 75, film: 'Achievement Hunter', check: s => s.unlockedCount >= 10 },
+    { id: 'hoarder', name: 'Hoarder', description: 'Collect 10,000 coins', icon: '💰', xp_reward: 150, film: 'Wealthy Player', check: s => s.coinsEarned >= 10000 },
+    { id: 'millionaire', name: 'Millionaire', description: 'Collect 1,000,000 coins', icon: '💎', xp_reward: 500, film: 'Rich Beyond Measure', check: s => s.coinsEarned >= 1000000 },
+
+    // TIME-BASED
+    { id: 'weekend_warrior', name: 'Weekend Warrior', description: 'Play on Saturday and Sunday', icon: '🎮', xp_reward: 50, film: 'Weekend Fun', check: s => s.playWeekdays.has(6) && s.playWeekdays.has(0) },
+    { id: 'marathon', name: 'Marathon Runner', description: 'Play for 6 hours straight', icon: '🏃', xp_reward: 200, film: 'Endurance Champion', check: s => s.longestSessionSeconds >= 6 * HOUR_SECONDS },
+    { id: 'daily_player', name: 'Daily Player', description: 'Play 30 days in a row', icon: '📅', xp_reward: 300, film: 'Committed Gamer', check: s => s.longestDailyStreak >= 30 },
+    { id: 'five_easy_pieces', name: 'Five Easy Pieces', description: 'Win 5 games in a row', icon: '🎲', xp_reward: 125, film: '1970 - Drama Classic', check: s => s.longestWinStreak >= 5 },
+
+    // RARE
+    { id: 'lucky_seven', name: 'Lucky Seven', description: 'Get exactly 7777 points', icon: '🎰', xp_reward: 250, film: 'Jackpot!', check: s => s.scores.some(r => r.score === 7777) },
+    { id: 'easter_egg', name: 'Easter Egg Hunter', description: 'Find 5 hidden gems: games that keep no score', icon: '🥚', xp_reward: 200, film: 'Secret Finder', check: s => s.scorelessGamesPlayed >= 5 },
+    { id: 'diane_fan', name: 'Diane Keaton Fan', description: 'Watch every film on the movies page', icon: '💜', xp_reward: 100, film: 'True Fan', check: s => s.moviesWatched >= s.movieCount },
+    { id: 'other_sister', name: 'The Other Sister', description: 'Be friends with someone when they unlock an achievement', icon: '👭', xp_reward: 100, film: '1999 - Drama Comedy', check: s => s.friendUnlockedAchievement },
+
+    // COMPETITIVE
+    { id: 'top_ten', name: 'Top Ten', description: 'Reach top 10 on any leaderboard', icon: '🏆', xp_reward: 200, film: 'Elite Player', check: s => s.bestLeaderboardRank <= 10 },
+    { id: 'top_three', name: 'Top Three', description: 'Reach top 3 on any leaderboard', icon: '🥉', xp_reward: 300, film: 'Podium Finish', check: s => s.bestLeaderboardRank <= 3 },
+    { id: 'number_one', name: 'Number One', description: 'Reach #1 on any leaderboard', icon: '🥇', xp_reward: 500, film: 'Champion', check: s => s.bestLeaderboardRank === 1 },
+    { id: 'mad_money', name: 'Mad Money', description: 'Earn 100,000 XP', icon: '💵', xp_reward: 300, film: '2008 - Heist Comedy', check: s => s.xp >= 100000 },
+
+    // SPECIAL
+    { id: 'early_bird', name: 'Early Bird', description: "Join in the arcade's first month", icon: '🐦', xp_reward: 100, film: 'Pioneer', check: s => s.joinedInFirstMonth },
+    { id: 'veteran', name: 'Veteran', description: 'Account 1 year old', icon: '🎖️', xp_reward: 500, film: 'Long-time Player', check: s => s.accountAgeDays >= 365 },
+    { id: 'completionist', name: 'Completionist', description: 'Unlock ALL achievements', icon: '👑', xp_reward: 1000, film: 'Master of the Arcade', check: s => s.unlockedCount >= s.trackedCount - 1 },
+
+    // MORE DIANE KEATON FILMS
+    { id: 'looking_goodbar', name: 'Looking for Mr. Goodbar', description: 'Play all candy games', icon: '🍫', xp_reward: 100, film: '1977 - Drama', check: s => s.playedGames.has('candymachine') && s.playedGames.has('jawbreaker') },
+    { id: 'running_mates', name: 'Running Mates', description: 'Enter 5 weekend tournaments', icon: '🏃', xp_reward: 75, film: '1992 - TV Movie', check: s => s.tournamentsEntered >= 5 },
+    { id: 'mrs_soffel', name: 'Mrs. Soffel', description: 'Accept 25 friend requests', icon: '🚗', xp_reward: 125, film: '1984 - Historical Drama', check: s => s.friendRequestsAccepted >= 25 },
+    { id: 'because_said_so', name: 'Because I Said So', description: 'Customize your profile fully', icon: '🎀', xp_reward: 50, film: '2007 - Rom-Com', check: s => s.profile.avatar && s.profile.banner && s.profile.bio },
+    { id: 'family_stone', name: 'The Family Stone', description: 'Play during holidays', icon: '💍', xp_reward: 100, film: '2005 - Holiday Film', check: s => s.playDates.some(d => d.getMonth() === 11 && d.getDate() >= 24 && d.getDate() <= 26) },
+    { id: 'little_drummer_girl', name: 'The Little Drummer Girl', description: 'Play on 100 different days', icon: '🥁', xp_reward: 150, film: '1984 - Thriller', check: s => s.daysPlayed >= 100 },
+    { id: 'mamas_boy', name: "Mama's Boy", description: 'Play 100 days in a row', icon: '👩', xp_reward: 200, film: '2007 - Comedy', check: s => s.longestDailyStreak >= 100 },
+    { id: 'amelia', name: 'Amelia', description: 'Reach 1000 games played', icon: '✈️', xp_reward: 300, film: '2009 - Historical Drama', check: s => s.totalPlays >= 1000 },
+    { id: 'finding_dory', name: 'Finding Dory', description: 'Play every game that keeps no score', icon: '🐠', xp_reward: 250, film: '2016 - Voice Acting', check: s => s.scorelessGameIds.length > 0 && s.scorelessGameIds.every(id => s.playedGames.has(id)) },
+    { id: 'poms', name: 'Poms', description: 'Enter a weekend tournament', icon: '📣', xp_reward: 150, film: '2019 - Sports Comedy', check: s => s.tournamentsEntered >= 1 },
+    { id: 'loves_labours_lost', name: "Love's Labour's Lost", description: 'Fail a game but try again', icon: '🎪', xp_reward: 50, film: '2000 - Musical', check: s => s.retriedAfterLoss },
+    { id: 'hampstead', name: 'Hampstead', description: 'Post scores both automatically and by hand', icon: '🏡', xp_reward: 100, film: '2017 - Romantic Comedy', check: s => s.scoreModes.has('auto') && s.scoreModes.has('manual') },
+    { id: 'crossing_delancey', name: 'Crossing Delancey', description: 'Cross 50,000 points', icon: '🥖', xp_reward: 150, film: '1988 - Romantic Comedy', check: s => s.highestScore >= 50000 },
+    { id: 'wildflower', name: 'Wildflower', description: 'Play the game of the day', icon: '🌸', xp_reward: 75, film: '1991 - TV Movie', check: s => s.playedGameOfTheDay },
+    { id: 'and_so_it_goes', name: 'And So It Goes', description: 'Link a Discord or Google account', icon: '🎵', xp_reward: 25, film: '2014 - Romantic Comedy', check: s => s.linkedAccounts >= 1 },
+    { id: 'ninja_turtles', name: 'Ninja Turtles', description: 'Win a weekend tournament', icon: '🐢', xp_reward: 200, film: '2016 - Voice Role', check: s => s.tournamentsWon >= 1 },
+    { id: 'china_syndrome', name: 'The China Syndrome', description: 'Complete a game of the day challenge', icon: '☢️', xp_reward: 175, film: '1979 - Referenced Film', check: s => s.dailyChallengesCompleted >= 1 },
+    { id: 'wines_roses', name: 'Wines and Roses', description: 'Beat your best score 100 times', icon: '🍷', xp_reward: 200, film: 'Victory Celebration', check: s => s.wins >= 100 },
+    { id: 'crimes_heart', name: 'Crimes of the Heart', description: 'Enter a tournament with 2 friends', icon: '❤️', xp_reward: 150, film: '1986 - Drama', check: s => s.mostFriendsInOneTournament >= 2 },
+    { id: 'ladies_night', name: "Ladies' Night", description: 'Play the same game as 3 friends on the same day', icon: '👯', xp_reward: 125, film: 'Social Gaming', check: s => s.mostFriendsOnOneGameInOneDay >= 3 },
+    { id: 'reunion', name: 'The Reunion', description: 'Return after 30 days away', icon: '🎊', xp_reward: 150, film: 'Welcome Back!', check: s => s.longestBreakDays >= 30 },
+    { id: 'unstrung_heroes', name: 'Unstrung Heroes', description: 'Unlock 25 achievements', icon: '🦸', xp_reward: 200, film: '1995 - Drama', check: s => s.unlockedCount >= 25 },
+    { id: 'godmothered', name: 'Godmothered', description: 'Give a game five stars', icon: '🧚', xp_reward: 100, film: '2020 - Disney Film', check: s => s.fiveStarRatings >= 1 },
+    { id: 'sextuplets', name: 'Sextuplets', description: 'Play 6 different games in one day', icon: '6️⃣', xp_reward: 150, film: 'Multi-Game Master', check: s => s.mostGamesInOneDay >= 6 }
+];
+
+
+function dateKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// Best rank the user holds on any per-game leaderboard (Infinity if unranked)
+function bestLeaderboardRank(userId, scores) {
+    const bestByGame = {};
+    scores.forEach(record => {
+        const game = bestByGame[record.game_name] || (bestByGame[record.game_name] = {});
+        game[record.userId] = Math.max(game[record.userId] || 0, record.score);
+    });
+
+    let best = Infinity;
+    Object.values(bestByGame).forEach(game => {
+        if (game[userId] === undefined) return;
+        const rank = Object.values(game).filter(score => score > game[userId]).length + 1;
+        best = Math.min(best, rank);
+    });
+    return best;
+}
+
+// The player's runs oldest first, each marked won or lost
+function markRuns(userScores) {
+    const bests = {};
+    return [...userScores]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .map(record => {
+            const best = bests[record.game_name];
+            bests[record.game_name] = Math.max(best || 0, record.score);
+            return { ...record, won: best === undefined || record.score > best };
+        });
+}
+
+// Win and loss totals, streaks and records
+function runStats(runs) {
+    const winsByDay = {};
+    const runsByGame = {};
+    let longestWinStreak = 0;
+    let streak = 0;
+
+    runs.forEach(run => {
+        streak = run.won ? streak + 1 : 0;
+        longestWinStreak = Math.max(longestWinStreak, streak);
+        if (run.won) {
+            const key = dateKey(new Date(run.timestamp));
+            winsByDay[key] = (winsByDay[key] || 0) + 1;
+        }
+        (runsByGame[run.game_name] || (runsByGame[run.game_name] = [])).push(run);
+    });
+
+    const wins = runs.filter(run => run.won);
+    const gameRuns = Object.values(runsByGame);
+    return {
+        wins: wins.length,
+        losses: runs.length - wins.length,
+        longestWinStreak,
+        mostWinsInOneDay: Math.max(0, ...Object.values(winsByDay)),
+        flawlessGame: gameRuns.some(list => list.length >= 3 && list.every(run => run.won)),
+        // A loss with another run of the same game after it
+        retriedAfterLoss: gameRuns.some(list => list.slice(0, -1).some(run => !run.won)),
+        fastestWinSeconds: Math.min(Infinity, ...wins.filter(run => Number.isFinite(run.play_seconds)).map(run => run.play_seconds))
+    };
+}
+
+// Friendships, requests and what friends have done alongside the player
+function friendStats(user, { friendLinks, plays, unlocks, tournaments }) {
+    const friendships = friendLinks.filter(l => l.status === 'accepted');
+    // friend id -> when the friendship started
+    const friendSince = new Map(friendships.map(l => [l.from === user.id ? l.to : l.from, Date.parse(l.accepted_at)]));
+
+    const playersByGameDay = {};
+    plays.forEach(p => {
+        if (p.userId !== user.id && !friendSince.has(p.userId)) return;
+        const key = `${dateKey(new Date(p.timestamp))}:${p.game_id}`;
+        (playersByGameDay[key] || (playersByGameDay[key] = new Set())).add(p.userId);
+    });
+
+    const entered = tournaments.filter(t => t.entrants.some(e => e.userId === user.id));
+
+    return {
+        friendCount: friendships.length,
+        friendRequestsSent: friendLinks.filter(l => l.from === user.id).length,
+        friendRequestsAccepted: friendships.filter(l => l.to === user.id).length,
+        friendUnlockedAchievement: unlocks.some(u => !u.imported && friendSince.has(u.userId) && Date.parse(u.unlockedAt) > friendSince.get(u.userId)),
+        mostFriendsOnOneGameInOneDay: Math.max(0, ...Object.values(playersByGameDay)
+            .filter(players => players.has(user.id))
+            .map(players => players.size - 1)),
+        mostFriendsInOneTournament: Math.max(0, ...entered.map(t => t.entrants.filter(e => friendSince.has(e.userId)).length))
+    };
+}
+
+// `records` holds everything the checks look at besides the user:
+//   scores, plays, unlocks     every live score, play and achievement unlock
+//   unlockedCount              how many achievements the user already has
+//   games                      [{ id, available, trusted, scoreless, max_score }]
+//   friendLinks                the user's friendships and the requests they sent
+//   tournaments, dailyChallenges
+//   cloudSaves, ratings        the user's own
+//   moviesWatched, movieCount, coinsEarned
+//   arcadeOpenedAt             when the first account was registered (ms)
+//   levelCap                   levels in one prestige
+function buildAchievementStats(user, records) {
+    const { scores, plays, games } = records;
+    const userScores = scores.filter(r => r.userId === user.id);
+    const userPlays = plays.filter(p => p.userId === user.id);
+    const playDates = userPlays.map(p => new Date(p.timestamp));
+    const gamePlays = user.game_plays || {};
+    // Imported bests can't be verified, so they don't count toward achievements
+    const highScores = Object.fromEntries(Object.entries(user.high_scores || {}).filter(([, best]) => !best.imported));
+    const playtime = user.playtime || { total_seconds: 0, games: {}, hours: new Array(24).fill(0), longest_session_seconds: 0 };
+    const playedGames = new Set(Object.keys(gamePlays));
+    const availableGameIds = games.filter(g => g.available).map(g => g.id);
+    const scorelessGameIds = games.filter(g => g.available && g.scoreless).map(g => g.id);
+    const maxScores = Object.fromEntries(games.filter(g => g.max_score).map(g => [g.id, g.max_score]));
+
+    // Play calendar: streaks, breaks and distinct games per day
+    const gamesByDay = {};
+    userPlays.forEach(p => {
+        const key = dateKey(new Date(p.timestamp));
+        (gamesByDay[key] || (gamesByDay[key] = new Set())).add(p.game_id);
+    });
+    const days = [...new Set(playDates.map(startOfDay))].sort((a, b) => a - b);
+    let longestDailyStreak = days.length ? 1 : 0;
+    let longestBreakDays = 0;
+    for (let i = 1, streak = 1; i < days.length; i++) {
+        const gap = Math.round((days[i] - days[i - 1]) / DAY_MS);
+        streak = gap === 1 ? streak + 1 : 1;
+        longestDailyStreak = Math.max(longestDailyStreak, streak);
+        longestBreakDays = Math.max(longestBreakDays, gap);
+    }
+
+    // The game of the day is picked by UTC date
+    const gameOfTheDay = new Map(records.dailyChallenges.map(c => [c.date, c.game_id]));
+    const tournamentsEntered = records.tournaments.filter(t => t.entrants.some(e => e.userId === user.id));
+    const registeredAt = Date.parse(user.registered_at || user.created_at);
+
+    return {
+        level: user.level || 1,
+        prestige: user.prestige || 0,
+        // Levels stop at the cap, so count the levels behind every prestige too
+        levelsClimbed: (user.prestige || 0) * records.levelCap + (user.level || 1),
+        xp: user.xp || 0,
+        totalScore: user.total_score || 0,
+        highestScore: Math.max(0, ...Object.values(highScores).map(best => best.score)),
+        totalPlays: user.total_plays || 0,
+        maxPlaysOfOneGame: Math.max(0, ...Object.values(gamePlays)),
+        playsOf: gameId => gamePlays[gameId] || 0,
+        playedGames,
+        // Every game of a series that is in the arcade right now
+        gameSeriesPlayed: ids => {
+            const series = availableGameIds.filter(id => ids.includes(id));
+            return series.length > 0 && series.every(id => playedGames.has(id));
+        },
+        scoredGames: new Set(Object.keys(highScores)),
+        bestScore: gameId => (highScores[gameId] ? highScores[gameId].score : 0),
+        scores: userScores,
+        ...runStats(markRuns(userScores)),
+        perfectScore: userScores.some(r => maxScores[r.game_name] && r.score >= maxScores[r.game_name]),
+        scoreModes: new Set(userScores.map(r => (r.autoTracked ? 'auto' : 'manual'))),
+        playDates,
+        daysPlayed: days.length,
+        // Local hours of the day with real active playtime
+        playHours: playtime.hours.map((seconds, hour) => (seconds >= PLAY_WINDOW_MIN_SECONDS ? hour : null)).filter(h => h !== null),
+        playtimeSeconds: playtime.total_seconds,
+        playtimeByGame: playtime.games,
+        longestSessionSeconds: playtime.longest_session_seconds,
+        playWeekdays: new Set(playDates.map(d => d.getDay())),
+        longestDailyStreak,
+        longestBreakDays,
+        mostGamesInOneDay: Math.max(0, ...Object.values(gamesByDay).map(set => set.size)),
+        playedGameOfTheDay: userPlays.some(p => gameOfTheDay.get(new Date(p.timestamp).toISOString().slice(0, 10)) === p.game_id),
+        bestLeaderboardRank: bestLeaderboardRank(user.id, scores),
+        availableGameIds,
+        // Only games whose scores are captured by the game itself, not typed in
+        trustedGameIds: games.filter(g => g.available && g.trusted).map(g => g.id),
+        scorelessGameIds,
+        scorelessGamesPlayed: scorelessGameIds.filter(id => playedGames.has(id)).length,
+        profile: {
+            avatar: Boolean(user.avatar),
+            banner: Boolean(user.banner),
+            bio: Boolean(user.bio)
+        },
+        linkedAccounts: Object.keys(user.oauth || {}).length,
+        favoriteCount: (user.favorites || []).length,
+        ratingsGiven: records.ratings.length,
+        fiveStarRatings: records.ratings.filter(r => r.stars === 5).length,
+        saveDevices: new Set(records.cloudSaves
+            .flatMap(save => [save.device, ...(save.history || []).map(version => version.device)])
+            .filter(Boolean)),
+        // created_at may be an imported join date; registered_at is when the server account was made
+        accountAgeDays: (Date.now() - registeredAt) / DAY_MS,
+        joinedInFirstMonth: registeredAt - records.arcadeOpenedAt < FIRST_MONTH_MS,
+        ...friendStats(user, records),
+        tournamentsEntered: tournamentsEntered.length,
+        tournamentsWon: tournamentsEntered.filter(t => t.standings && t.standings.some(row => row.rank === 1 && row.user_id === user.id)).length,
+        dailyChallengesCompleted: records.dailyChallenges.filter(c => c.completions.some(x => x.userId === user.id)).length,
+        // Lifetime earnings, so spending in the shop doesn't undo progress
+        moviesWatched: records.moviesWatched,
+        movieCount: records.movieCount,
+        coinsEarned: records.coinsEarned,
+        unlockedCount: records.unlockedCount,
+        trackedCount: ACHIEVEMENTS.filter(a => a.check).length
+    };
+}
+
+function toPublicAchievement(achievement) {
+    const { check, ...definition } = achievement;
+    definition.tracked = Boolean(check);
+    return definition;
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    buildAchievementStats,
+    toPublicAchievement
+};
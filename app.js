@@ -5,6 +5,7 @@
 class DianeArcade {
     constructor() {
         this.currentUser = null;
+        this.csrfToken = null;
         this.init();
     }
 
@@ -12,6 +13,32 @@ class DianeArcade {
         await this.checkAuth();
         this.setupEventListeners();
         this.loadLeaderboard();
+        this.watchLeaderboard();
+    }
+
+    // Reload the leaderboard when scores or levels change elsewhere
+    watchLeaderboard() {
+        if (!window.EventSource) return;
+
+        let refreshTimer = null;
+        const source = new EventSource('/api/events?types=high_score,level_up');
+        const refresh = () => {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(() => this.loadLeaderboard(), 1000);
+        };
+
+        source.addEventListener('high_score', refresh);
+        source.addEventListener('level_up', refresh);
+        source.addEventListener('reset', refresh);
+    }
+
+    // Headers for a write. The server wants the session's CSRF token echoed back.
+    async writeHeaders() {
+        if (!this.csrfToken) {
+            const response = await fetch('/api/csrf-token');
+            this.csrfToken = (await response.json()).csrf_token;
+        }
+        return { 'Content-Type': 'application/json', 'X-CSRF-Token': this.csrfToken };
     }
 
     // Check if user is authenticated
@@ -123,7 +150,7 @@ class DianeArcade {
         try {
             const response = await fetch('/api/register', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await this.writeHeaders(),
                 body: JSON.stringify({ email, username, password })
             });
 
@@ -151,7 +178,7 @@ class DianeArcade {
         try {
             const response = await fetch('/api/login', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await this.writeHeaders(),
                 body: JSON.stringify({ email, password })
             });
 
@@ -179,7 +206,7 @@ class DianeArcade {
     // Logout
     async logout() {
         try {
-            await fetch('/api/logout', { method: 'POST' });
+            await fetch('/api/logout', { method: 'POST', headers: await this.writeHeaders() });
             this.currentUser = null;
             this.updateUI();
             this.showNotification('Logged out successfully', 'success');
@@ -210,7 +237,7 @@ class DianeArcade {
         try {
             const response = await fetch('/api/game/score', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await this.writeHeaders(),
                 body: JSON.stringify({ game_name: gameName, score })
             });
 
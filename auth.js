@@ -0,0 +1,187 @@
+// ==========================================
+// Diane's Arcade - Shared Session Helpers
+// Included by every page before its own script
+// ==========================================
+
+const API_BASE = 'http://localhost:3000';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let csrfTokenRequest = null;
+
+// The session's CSRF token, fetched once and reused until the server says
+// it's stale (after logging out, or when the session expired)
+function getCsrfToken({ refresh = false } = {}) {
+    if (!csrfTokenRequest || refresh) {
+        csrfTokenRequest = fetch(`${API_BASE}/api/csrf-token`, { credentials: 'include' })
+            .then(response => response.json())
+            .then(data => data.csrf_token)
+            .catch(error => {
+                csrfTokenRequest = null;
+                throw error;
+            });
+    }
+    return csrfTokenRequest;
+}
+
+// fetch() against the arcade server with the session cookie attached.
+// Plain objects passed as `body` are sent as JSON. Anything that changes
+// state carries the CSRF token, and is retried once with a fresh token if
+// the server turned the old one down.
+async function apiFetch(path, options = {}, { retried = false } = {}) {
+    const init = { credentials: 'include', ...options };
+    if (init.body !== undefined && typeof init.body !== 'string') {
+        init.headers = { 'Content-Type': 'application/json', ...(init.headers || {}) };
+        init.body = JSON.stringify(init.body);
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    if (SAFE_METHODS.includes(method)) {
+        return fetch(`${API_BASE}${path}`, init);
+    }
+
+    init.headers = { ...(init.headers || {}), 'X-CSRF-Token': await getCsrfToken({ refresh: retried }) };
+    const response = await fetch(`${API_BASE}${path}`, init);
+    if (response.status === 403 && !retried) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code === 'CSRF_INVALID') {
+            return apiFetch(path, options, { retried: true });
+        }
+    }
+    return response;
+}
+
+let currentUserRequest = null;
+
+// The signed-in player from /api/user, or null when signed out or the server
+// is unreachable. Cached for the life of the page unless `refresh` is set.
+function getCurrentUser({ refresh = false } = {}) {
+    if (!currentUserRequest || refresh) {
+        currentUserRequest = apiFetch('/api/user')
+            .then(response => (response.ok ? response.json() : null))
+            .catch(error => {
+                console.log('⚠️ Arcade server unavailable:', error.message);
+                return null;
+            });
+    }
+    return currentUserRequest;
+}
+
+async function signOut() {
+    try {
+        await apiFetch('/api/logout', { method: 'POST' });
+    } catch (error) {
+        console.log('⚠️ Logout request failed:', error.message);
+    }
+    currentUserRequest = Promise.resolve(null);
+}
+
+// Sends signed-out visitors to the login page. Resolves to the user otherwise.
+async function requireLogin() {
+    const user = await getCurrentUser();
+    if (!user) {
+        window.location.href = 'login.html';
+    }
+    return user;
+}
+
+// Live events from /api/events. One tab holds the stream and relays it to
+// the others over a BroadcastChannel, so any number of open tabs share a
+// single connection; when that tab closes another takes over and resumes
+// from the last event it saw. Browsers without Web Locks get a stream per tab.
+const LIVE_EVENT_TYPES = ['high_score', 'level_up', 'achievement', 'tournament'];
+const LIVE_EVENTS_CHANNEL = 'arcade-live-events';
+
+const liveSubscribers = new Set();
+let liveEventsStarted = false;
+let lastLiveEventId = null;
+
+function deliverLiveMessage(message) {
+    if (message.kind === 'event') lastLiveEventId = message.event.id;
+
+    liveSubscribers.forEach(subscriber => {
+        if (message.kind === 'reset') {
+            if (subscriber.onReset) subscriber.onReset();
+            return;
+        }
+        const { event } = message;
+        if (subscriber.types && !subscriber.types.includes(event.type)) return;
+        if (subscriber.games && !subscriber.games.includes(event.game_id)) return;
+        subscriber.onEvent(event);
+    });
+}
+
+function openLiveStream(onMessage) {
+    const resume = lastLiveEventId ? `?last_event_id=${encodeURIComponent(lastLiveEventId)}` : '';
+    const source = new EventSource(`${API_BASE}/api/events${resume}`);
+    LIVE_EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, e => onMessage({ kind: 'event', event: JSON.parse(e.data) }));
+    });
+    source.addEventListener('reset', () => onMessage({ kind: 'reset' }));
+}
+
+function startLiveEvents() {
+    if (liveEventsStarted) return;
+    liveEventsStarted = true;
+
+    if (!('BroadcastChannel' in window) || !navigator.locks) {
+        openLiveStream(deliverLiveMessage);
+        return;
+    }
+
+    const channel = new BroadcastChannel(LIVE_EVENTS_CHANNEL);
+    channel.onmessage = e => deliverLiveMessage(e.data);
+
+    // The lock is held until this tab goes away
+    navigator.locks.request(LIVE_EVENTS_CHANNEL, () => new Promise(() => {
+        openLiveStream(message => {
+            deliverLiveMessage(message);
+            channel.postMessage(message);
+        });
+    }));
+}
+
+// Calls onEvent for each live event matching the optional games and types
+// lists, and onReset when events were missed and shown data should be
+// reloaded. Returns a function that unsubscribes.
+function subscribeToEvents({ games = null, types = null } = {}, onEvent, onReset = null) {
+    const subscriber = { games, types, onEvent, onReset };
+    liveSubscribers.add(subscriber);
+    startLiveEvents();
+    return () => liveSubscribers.delete(subscriber);
+}
+
+// Text made safe to drop into an HTML string. Usernames from before the
+// username rules and moderator-edited catalog text can both hold markup.
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// One line of HTML describing an event, for activity feeds
+function describeLiveEvent(event) {
+    const data = event.data;
+    const player = `<a href="profile.html?user=${encodeURIComponent(data.username)}">${escapeHtml(data.username)}</a>`;
+    switch (event.type) {
+        case 'high_score':
+            return `🎯 ${player} set a new best of ${Number(data.score).toLocaleString()} on ${escapeHtml(data.game_name)}`;
+        case 'level_up':
+            return `⬆️ ${player} reached level ${escapeHtml(data.level)}`;
+        case 'achievement':
+            return `🏆 ${player} unlocked ${escapeHtml(data.achievement.icon)} ${escapeHtml(data.achievement.name)}`;
+        case 'tournament': {
+            const leader = data.podium[0];
+            const name = escapeHtml(data.name);
+            if (data.status === 'closed') {
+                return `🏁 ${name} is over${leader ? ` · 🥇 ${escapeHtml(leader.username)} with ${Number(leader.score).toLocaleString()}` : ''}`;
+            }
+            return `🏆 ${name}${leader ? ` · 🥇 ${escapeHtml(leader.username)} leads with ${Number(leader.score).toLocaleString()}` : ''}`;
+        }
+        default:
+            return '';
+    }
+}
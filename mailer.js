@@ -0,0 +1,83 @@
+// ==========================================
+// Diane's Arcade - Outgoing Mail
+// Messages over a pluggable transport
+// ==========================================
+//
+// server.js calls mailer.send({ to, subject, text }). Delivery is handled by
+// a transport, anything with an async send(message) method:
+//
+//   console  prints each message to stdout (default)
+//   file     writes each message as JSON into a directory, e.g. data/outbox
+//
+// A real provider (SMTP, an HTTP mail API) only needs to provide the same
+// send(message) method.
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+class ConsoleTransport {
+    async send(message) {
+        console.log([
+            '----- outgoing mail -----',
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '-------------------------'
+        ].join('\n'));
+    }
+}
+
+class FileTransport {
+    constructor(dir) {
+        this.dir = dir;
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    async send(message) {
+        const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        await fs.promises.writeFile(path.join(this.dir, name), JSON.stringify(message, null, 2));
+    }
+}
+
+function createTransport(name, { outboxDir } = {}) {
+    if (name === 'file') return new FileTransport(outboxDir);
+    if (!name || name === 'console') return new ConsoleTransport();
+    throw new Error(`Unknown mail transport "${name}"`);
+}
+
+// ==========================================
+// MAILER
+// ==========================================
+
+function createMailer(transport, { from }) {
+    return {
+        transport,
+
+        // Never throws: a failed email shouldn't fail the request that sent it
+        async send({ to, subject, text }) {
+            const message = { from, to, subject, text, date: new Date().toISOString() };
+            try {
+                await transport.send(message);
+                return true;
+            } catch (e) {
+                console.error(`Error sending mail to ${to}:`, e);
+                return false;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createMailer,
+    createTransport,
+    ConsoleTransport,
+    FileTransport
+};
@@ -0,0 +1,102 @@
+// ==========================================
+// Diane's Arcade - Discord Interactions Harness
+// Sends signed slash commands to a local server, the way Discord would
+// ==========================================
+//
+//   node scripts/discord-harness.js keygen
+//       Prints a throwaway key pair. Start the server with the public half:
+//       DISCORD_PUBLIC_KEY=<public> node server.js
+//
+//   DISCORD_TEST_PRIVATE_KEY=<private> node scripts/discord-harness.js [server-url] [game-id] [discord-user-id]
+//       Sends PING, /play, /stats and /leaderboard signed with the private
+//       key, plus one request with a bad signature that must be rejected.
+
+const crypto = require('crypto');
+
+// PKCS8 DER wrapper for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function keygen() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicRaw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    const privateRaw = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(-32);
+    console.log(`DISCORD_PUBLIC_KEY=${publicRaw.toString('hex')}`);
+    console.log(`DISCORD_TEST_PRIVATE_KEY=${privateRaw.toString('hex')}`);
+}
+
+function loadPrivateKey() {
+    const hex = process.env.DISCORD_TEST_PRIVATE_KEY;
+    if (!hex) {
+        console.error('Set DISCORD_TEST_PRIVATE_KEY (see `node scripts/discord-harness.js keygen`)');
+        process.exit(1);
+    }
+    return crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(hex, 'hex')]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+}
+
+async function send(url, privateKey, interaction, { tamper = false } = {}) {
+    const body = JSON.stringify(interaction);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+
+    const response = await fetch(`${url}/api/discord/interactions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Signature-Ed25519': signature,
+            'X-Signature-Timestamp': timestamp
+        },
+        // A changed body must fail verification
+        body: tamper ? body.replace('}', ',"tampered":true}') : body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function command(name, options = [], user = { id: '0', username: 'harness' }) {
+    return {
+        type: 2,
+        id: crypto.randomBytes(8).toString('hex'),
+        guild_id: 'harness-guild',
+        member: { user },
+        data: { name, options }
+    };
+}
+
+async function run() {
+    const [url = 'http://localhost:3000', gameId = 'motherload', discordUserId = '0'] = process.argv.slice(2);
+    const privateKey = loadPrivateKey();
+    const invoker = { id: discordUserId, username: 'harness' };
+
+    const cases = [
+        { label: 'PING', interaction: { type: 1 }, expect: r => r.status === 200 && r.body.type === 1 },
+        { label: '/play', interaction: command('play', [{ name: 'game', type: 3, value: gameId }], invoker), expect: r => r.status === 200 && r.body.type === 4 },
+        { label: '/stats', interaction: command('stats', [], invoker), expect: r => r.status === 200 && r.body.type === 4 },
+        { label: '/leaderboard', interaction: command('leaderboard', [], invoker), expect: r => r.status === 200 && r.body.type === 4 },
+        { label: `/leaderboard ${gameId}`, interaction: command('leaderboard', [{ name: 'game', type: 3, value: gameId }], invoker), expect: r => r.status === 200 && r.body.type === 4 },
+        { label: 'bad signature', interaction: { type: 1 }, tamper: true, expect: r => r.status === 401 }
+    ];
+
+    let failed = 0;
+    for (const testCase of cases) {
+        const result = await send(url, privateKey, testCase.interaction, { tamper: testCase.tamper });
+        const ok = testCase.expect(result);
+        if (!ok) failed += 1;
+        console.log(`${ok ? '✅' : '❌'} ${testCase.label} -> ${result.status}`);
+        console.log(JSON.stringify(result.body, null, 2));
+    }
+
+    console.log(failed ? `${failed} check(s) failed` : 'All checks passed');
+    process.exit(failed ? 1 : 0);
+}
+
+if (process.argv[2] === 'keygen') {
+    keygen();
+} else {
+    run().catch(error => {
+        console.error('Harness error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,97 @@
+// ==========================================
+// Diane's Arcade - Mock OAuth Provider
+// For trying /auth/:provider locally without real Discord or Google apps
+// ==========================================
+//
+// Start it, then point a provider at it when starting server.js:
+//
+//   node scripts/mock-oauth-server.js
+//
+//   DISCORD_CLIENT_ID=mock DISCORD_CLIENT_SECRET=mock \
+//   DISCORD_AUTHORIZE_URL=http://localhost:4000/authorize \
+//   DISCORD_TOKEN_URL=http://localhost:4000/token \
+//   DISCORD_USERINFO_URL=http://localhost:4000/userinfo \
+//   node server.js
+//
+// /authorize approves immediately. The identity it hands out is set with
+// MOCK_OAUTH_USER_ID, MOCK_OAUTH_EMAIL, MOCK_OAUTH_NAME and
+// MOCK_OAUTH_VERIFIED=false, and is returned in both the Discord and the
+// Google profile shape.
+
+const http = require('http');
+
+const PORT = process.env.MOCK_OAUTH_PORT || 4000;
+
+const identity = {
+    id: process.env.MOCK_OAUTH_USER_ID || '424242',
+    email: process.env.MOCK_OAUTH_EMAIL || 'mock.player@example.com',
+    name: process.env.MOCK_OAUTH_NAME || 'Mock Player',
+    verified: process.env.MOCK_OAUTH_VERIFIED !== 'false'
+};
+
+const issuedCodes = new Set();
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+        const redirectUri = url.searchParams.get('redirect_uri');
+        if (!redirectUri) return sendJson(res, 400, { error: 'invalid_request' });
+
+        const code = `mock-code-${Date.now()}`;
+        issuedCodes.add(code);
+
+        const target = new URL(redirectUri);
+        target.searchParams.set('code', code);
+        target.searchParams.set('state', url.searchParams.get('state') || '');
+        res.writeHead(302, { Location: target.toString() });
+        return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+        const params = await readBody(req);
+        const code = params.get('code');
+        if (params.get('grant_type') !== 'authorization_code' || !issuedCodes.delete(code)) {
+            return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+        return sendJson(res, 200, { access_token: `mock-token-${code}`, token_type: 'Bearer', expires_in: 3600 });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+        if (!(req.headers.authorization || '').startsWith('Bearer mock-token-')) {
+            return sendJson(res, 401, { error: 'invalid_token' });
+        }
+        return sendJson(res, 200, {
+            // Discord
+            id: identity.id,
+            username: identity.name.toLowerCase().replace(/\s+/g, ''),
+            global_name: identity.name,
+            verified: identity.verified,
+            // Google
+            sub: identity.id,
+            name: identity.name,
+            email_verified: identity.verified,
+            // Both
+            email: identity.email
+        });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock OAuth provider on http://localhost:${PORT} as ${identity.name} <${identity.email}>`);
+});
@@ -1,14 +1,18 @@
 // ==========================================
 // Diane's Arcade - Backend Server
-// Internal Data Store (JSON files)
+// Internal Data Store (see storage.js)
 // ==========================================
 
 const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { createStorage, JsonFileBackend } = require('./storage');
+const { createMailer, createTransport } = require('./mailer');
+const { ACHIEVEMENTS, buildAchievementStats, toPublicAchievement } = require('./achievements');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,165 +21,1397 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE SETUP
 // ==========================================
 
+// Pages allowed to call the API with the player's cookie. Comma-separated;
+// defaults to the GitHub Pages site and the usual local static servers.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || [
+    'https://sapphirediamondcasino-bit.github.io',
+    'http://localhost:3000',
+    'http://localhost:5500',
+    'http://127.0.0.1:5500',
+    'http://localhost:8080'
+].join(','))
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+// Behind a proxy that terminates TLS, set TRUST_PROXY to the number of hops
+// so req.ip is the player's address and secure cookies still get sent
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
 app.use(cors({
-    origin: true,
+    // Requests without an Origin (same-origin pages, curl, Discord) pass
+    origin: (origin, callback) => callback(null, !origin || ALLOWED_ORIGINS.includes(origin)),
     credentials: true
 }));
 
-app.use(express.json());
+// cors() only withholds the headers, so the browser hides the response but
+// the request has still run. Refuse writes from other sites outright.
+app.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !ALLOWED_ORIGINS.includes(origin) && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    next();
+});
+
+// Keep the raw bytes around: Discord signs the exact body it sent.
+// Cloud saves (see CLOUD SAVES) need more room than the 100kb default.
+app.use(express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
+// ==========================================
+// DATA STORAGE
+// ==========================================
+
+// Everything persistent goes through the repositories in
+// storage.js, which cache in memory and write atomically in the background
+const DATA_DIR = path.join(__dirname, 'data');
+const store = createStorage(new JsonFileBackend(DATA_DIR));
+
+// ==========================================
+// SESSIONS & CSRF
+// ==========================================
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const DEV_SESSION_SECRET = 'diane-arcade-secret-key';
+const SESSION_SECRET_MIN_LENGTH = 32;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const SESSION_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+// Every request touches its session; the stored expiry only moves once it
+// would move by at least this much, so sessions.json isn't rewritten each time
+const SESSION_TOUCH_MIN_STEP_MS = 5 * 60 * 1000;
+
+// Anyone who knows the secret can forge a session cookie, so production
+// refuses to start on the development default
+if (IS_PRODUCTION && (!process.env.SESSION_SECRET
+    || process.env.SESSION_SECRET === DEV_SESSION_SECRET
+    || process.env.SESSION_SECRET.length < SESSION_SECRET_MIN_LENGTH)) {
+    console.error(`SESSION_SECRET must be set to a random string of at least ${SESSION_SECRET_MIN_LENGTH} characters in production`);
+    process.exit(1);
+}
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set, using the development secret');
+}
+
+// express-session store over store.sessions, so logins survive a restart
+class PersistentSessionStore extends session.Store {
+    get(sessionId, callback) {
+        callback(null, store.sessions.get(sessionId));
+    }
+
+    set(sessionId, data, callback) {
+        store.sessions.put(sessionId, data, this.expiresAt(data));
+        callback(null);
+    }
+
+    touch(sessionId, data, callback) {
+        store.sessions.touch(sessionId, this.expiresAt(data), SESSION_TOUCH_MIN_STEP_MS);
+        callback(null);
+    }
+
+    destroy(sessionId, callback) {
+        store.sessions.remove(sessionId);
+        callback(null);
+    }
+
+    expiresAt(data) {
+        return data.cookie && data.cookie.expires
+            ? new Date(data.cookie.expires).getTime()
+            : Date.now() + SESSION_TTL_MS;
+    }
+}
+
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'diane-arcade-secret-key',
+    store: new PersistentSessionStore(),
+    secret: process.env.SESSION_SECRET || DEV_SESSION_SECRET,
     resave: false,
-    saveUninitialized: true,
+    // Visitors only get a session once something is put in it
+    saveUninitialized: false,
     cookie: {
-        secure: process.env.NODE_ENV === 'production',
+        secure: IS_PRODUCTION,
         httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        // The pages are served from another site in production, and a
+        // cross-site cookie has to say so. CSRF tokens below make that safe.
+        sameSite: IS_PRODUCTION ? 'none' : 'lax',
+        maxAge: SESSION_TTL_MS
     }
 }));
 
+// Every POST, PUT, PATCH and DELETE to /api must echo the session's token in
+// an X-CSRF-Token header. Pages get it from /api/csrf-token, which only the
+// ALLOWED_ORIGINS can read. Discord signs its own requests instead.
+const CSRF_EXEMPT_PATHS = ['/api/discord/interactions'];
+
+function csrfTokenFor(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+function hasValidCsrfToken(req) {
+    const expected = req.session.csrfToken;
+    const given = req.get('X-CSRF-Token');
+    if (!expected || typeof given !== 'string' || given.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+app.use((req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    if (!req.path.startsWith('/api/') || CSRF_EXEMPT_PATHS.includes(req.path)) return next();
+
+    if (!hasValidCsrfToken(req)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token', code: 'CSRF_INVALID' });
+    }
+    next();
+});
+
+app.get('/api/csrf-token', (req, res) => {
+    res.json({ csrf_token: csrfTokenFor(req) });
+});
+
 // ==========================================
-// DATA STORAGE - LOCAL JSON FILES
+// MAIL
 // ==========================================
 
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const SCORES_FILE = path.join(DATA_DIR, 'scores.json');
-const ACHIEVEMENTS_FILE = path.join(DATA_DIR, 'achievements.json');
+// MAIL_TRANSPORT=console (default) prints mail; MAIL_TRANSPORT=file drops it
+// into data/outbox for local testing
+const mailer = createMailer(
+    createTransport(process.env.MAIL_TRANSPORT, { outboxDir: path.join(DATA_DIR, 'outbox') }),
+    { from: process.env.MAIL_FROM || "Diane's Arcade <no-reply@dianesarcade.local>" }
+);
+
+// Where links in emails point
+const SITE_URL = process.env.SITE_URL || 'https://sapphirediamondcasino-bit.github.io/Diane-s-Arcade';
+
+// ==========================================
+// GAME CATALOG
+// ==========================================
 
-// Ensure data directory exists
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
+const GAMES_DIR = path.join(__dirname, 'games');
+
+// The one list of games the arcade knows about. index.html, game.html and
+// leaderboard.html all render from /api/games, so add or fix games here.
+// Moderators can also edit entries at runtime (see ADMIN & MODERATION), and
+// can take a game out of rotation with disabled: true.
+// Entries may set max_score and min_play_seconds to tighten the defaults in
+// SCORE_RULE_DEFAULTS for that game.
+//
+// score_adapter tells game.html how to capture a score, since the SWFs can't
+// post to the API themselves. Games without one are shown as untracked.
+//   { type: 'shared_object', name, path, pick }  read a SharedObject Ruffle keeps
+//       in localStorage; path is a dotted key into its data, pick: 'max' takes
+//       the best of an array
+//   { type: 'external_interface', method }  poll a callback the SWF registers
+//       with ExternalInterface.addCallback
+//   { type: 'manual' }  the player types in the score the game showed them
+const GAME_CATALOG = [
+    {
+        id: 'motherload',
+        name: 'MOTHERLOAD',
+        file: '1269 - MotherLoad.swf',
+        image: 'https://archive.org/serve/motherload_202209/motherload_202209_screenshot.gif',
+        creator: 'XGen Studios',
+        icon: '⛏️',
+        tagline: 'Dig deep for Martian minerals!',
+        subtitle: 'Top miners in the galaxy!',
+        description: 'Dig deep beneath the Martian surface to mine precious minerals! Upgrade your drilling pod with better fuel tanks, larger cargo bays, and more powerful drills. Watch out for hidden dangers lurking in the depths!',
+        highlights: [{ title: 'Annie Hall Digger', icon: '🎬' }, { title: 'Something\'s Gotta Give', icon: '💎' }, { title: 'Godfather Miner', icon: '👑' }],
+        related: ['earntodie', 'gold01', 'raftwars']
+    },
+    {
+        id: 'happywheels',
+        name: 'HAPPY WHEELS',
+        file: 'HappyWheels.swf',
+        image: 'https://archive.org/serve/billiardss/00_A.png',
+        creator: 'Jim Bonacci (Total Jerkface)',
+        icon: '🎡',
+        tagline: 'Ragdoll physics mayhem!',
+        subtitle: 'Masters of ragdoll mayhem!',
+        description: 'Choose your vehicle and character, then navigate through brutal obstacle courses filled with spikes, mines, and deadly traps! Ragdoll physics make every crash hilariously catastrophic. Can you reach the finish line in one piece?',
+        highlights: [{ title: 'First Wives Club Survivor', icon: '💪' }, { title: 'Manhattan Madness', icon: '🏙️' }, { title: 'Sleeper Hit', icon: '😴' }],
+        related: ['earntodie', 'robotunicornattack', 'ruahm']
+    },
+    {
+        id: 'gunblood',
+        name: 'GUN BLOOD',
+        file: 'gunblood.swf',
+        image: 'https://archive.org/download/gun-blood-flash-game/gunblood-menu.png',
+        image_fallback: 'https://img.gamepix.com/games/gun-blood/cover/gun-blood.png?width=600&height=340&fit=cover',
+        creator: 'Wolf Games',
+        icon: '🔫',
+        tagline: 'Quick-draw western duels!',
+        subtitle: 'Fastest guns in the West!',
+        description: 'Test your reflexes in this intense Wild West quick-draw showdown! Face off against increasingly skilled gunslingers. Wait for the signal, then draw your weapon and shoot first! One shot, one kill – miss and you\'re dead!',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Manhattan Murder Mystery', icon: '🔍' }, { title: 'Reds Sharpshooter', icon: '⭐' }, { title: 'Love and Death', icon: '💀' }],
+        related: ['bushshootout', 'raftwars', 'raftwars2']
+    },
+    {
+        id: 'raftwars',
+        name: 'RAFT WARS',
+        file: 'raftwars.swf',
+        image: 'https://archive.org/serve/raft-wars_202207/raft-wars_202207_screenshot.gif',
+        creator: 'Martijn Kunst (Bubble Box)',
+        icon: '🚣',
+        tagline: 'Defend your treasure!',
+        subtitle: 'Treasure defenders supreme!',
+        description: 'Simon and his brother found buried treasure! Now they must defend it from pirates, Vikings, and other treasure hunters. Use tennis balls as ammunition in this physics-based turn-based shooter. Aim carefully and knock enemies off their rafts!',
+        highlights: [{ title: 'Father of the Bride Defender', icon: '👰' }, { title: 'Baby Boom', icon: '👶' }, { title: 'Marvin\'s Room', icon: '🏠' }],
+        related: ['raftwars2', 'gunblood', 'gold01']
+    },
+    {
+        id: 'raftwars2',
+        name: 'RAFT WARS 2',
+        file: 'raftwars2.swf',
+        image: 'https://archive.org/serve/miniclip_raft_wars_2/miniclip_raft_wars_2_screenshot.gif',
+        creator: 'Martijn Kunst (Bubble Box)',
+        icon: '🚣',
+        tagline: 'More raft battles!',
+        subtitle: 'Water park warriors!',
+        description: 'The adventure continues! Simon\'s treasure has been discovered by a water park developer. Fight through water park security, rival gangs, and more to reclaim what\'s rightfully yours! More levels, more enemies, more fun!',
+        highlights: [{ title: 'Baby Boom Part 2', icon: '🎬' }, { title: 'Something\'s Gotta Float', icon: '⛵' }, { title: 'The Good Mother', icon: '✨' }],
+        related: ['raftwars', 'gunblood', 'motherload']
+    },
+    {
+        id: 'robotunicornattack',
+        name: 'ROBOT UNICORN ATTACK',
+        file: 'robotunicornattack_flash.swf',
+        image: 'https://archive.org/serve/robotunicornattack_flash/RobotUnicornAttack_screenshot.jpg',
+        creator: 'Adult Swim Games (Spiritonin Media)',
+        icon: '🦄',
+        tagline: 'Chase your dreams!',
+        subtitle: 'Always believe in your dreams!',
+        description: 'Gallop through a mystical dreamscape of rainbows, stars, and heavy metal! Jump over gaps, smash through stars, and dash through obstacles. Featuring the iconic "Always" by Erasure soundtrack. Chase your dreams... ALWAYS!',
+        score_adapter: { type: 'shared_object', name: 'shareObj', path: 'highScores', pick: 'max' },
+        highlights: [{ title: 'Play It Again, Sam', icon: '🎭' }, { title: 'Shoot the Moon', icon: '🌙' }, { title: 'Morning Glory', icon: '🌅' }],
+        related: ['ruahm', 'retrounicornattack', 'happywheels']
+    },
+    {
+        id: 'ruahm',
+        name: 'ROBOT UNICORN HEAVY METAL',
+        file: 'ruahm.swf',
+        image: 'https://archive.org/serve/ruahm/ruahm_screenshot.gif',
+        creator: 'Adult Swim Games',
+        icon: '🎸',
+        tagline: 'Heavy metal edition!',
+        subtitle: 'Metal never dies!',
+        description: 'The darker, heavier version of Robot Unicorn Attack! Gallop through a gothic fantasy world with a heavy metal soundtrack. Jump, dash, and destroy everything in your path. Metal never dies!',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Interiors', icon: '🏚️' }, { title: 'Night, Mother', icon: '🌙' }, { title: 'The Only Living Boy', icon: '🎸' }],
+        related: ['robotunicornattack', 'happywheels', 'earntodie']
+    },
+    {
+        id: 'retrounicornattack',
+        name: 'RETRO UNICORN ATTACK',
+        file: 'retrounicornattack.swf',
+        image: 'https://archive.org/serve/retro-unicorn-attack/retro-unicorn-attack_screenshot.gif',
+        creator: 'AdultSwim',
+        icon: '🌈',
+        tagline: 'Classic unicorn runner!',
+        subtitle: 'Classic unicorn runner!',
+        description: 'Dash through dreamlike worlds in this neon runner! Smash stars, chase rainbows, and survive as long as you can to the rhythm of pure 80s synth magic.',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Rainbow Master', icon: '🌈' }, { title: 'Dream Runner', icon: '💫' }, { title: 'Never Stop Believing', icon: '🎶' }],
+        related: ['robotunicornattack', 'ruahm', 'happywheels']
+    },
+    {
+        id: 'earntodie',
+        name: 'EARN TO DIE',
+        file: 'EarnToDie_NotDoppler_dec.swf',
+        image: 'https://archive.org/serve/etd_20220311/etd_20220311_screenshot.gif',
+        creator: 'Toffee Games (Not Doppler)',
+        icon: '🧟',
+        tagline: 'Drive through zombies!',
+        subtitle: 'Zombie crushers unite!',
+        description: 'The zombie apocalypse is here! Drive your car through hordes of undead, earning money to upgrade your vehicle with armor, weapons, and bigger engines. Each run gets you closer to the evacuation helicopter. Survive or die trying!',
+        highlights: [{ title: 'Looking for Mr. Goodbar', icon: '🍫' }, { title: 'Running Mates', icon: '🏃' }, { title: 'Mrs. Soffel Survivor', icon: '🚗' }],
+        related: ['earntodie2012', 'EarntoDie2016', 'EarntoDiePart2']
+    },
+    {
+        id: 'earntodie2012',
+        name: 'EARN TO DIE 2012',
+        file: 'earn-to-die-2012.swf',
+        image: 'https://archive.org/serve/earntodie2012/earntodie2012_screenshot.gif',
+        creator: 'Toffee Games',
+        icon: '🧟‍♂️',
+        tagline: 'Zombie roadkill 2012!',
+        subtitle: 'Apocalypse racers!',
+        description: 'Blast through zombie hordes in your upgraded vehicles! Earn cash, upgrade engines, and survive the apocalypse in this side-scrolling car survival hit.',
+        highlights: [{ title: 'Zombie Roadkill', icon: '🧟‍♂️' }, { title: 'Fuel Master', icon: '⛽' }, { title: 'Apocalypse Racer', icon: '🚗' }],
+        related: ['earntodie', 'EarntoDie2016', 'EarntoDiePart2']
+    },
+    {
+        id: 'EarntoDie2016',
+        name: 'EARN TO DIE 2016',
+        file: 'Earn to Die 2016.swf',
+        image: 'https://archive.org/serve/earntodie2016/earntodie2016_screenshot.gif',
+        creator: 'Toffee Games',
+        icon: '💀',
+        tagline: 'Apocalypse 2016!',
+        subtitle: 'Undead obliterators!',
+        description: 'Return to the zombie apocalypse! Smash, upgrade, and power through new wastelands with improved graphics, vehicles, and endless destruction.',
+        highlights: [{ title: 'Undead Crusher', icon: '💀' }, { title: 'Maxed Out', icon: '🔧' }, { title: 'Road Warrior', icon: '🔥' }],
+        related: ['earntodie', 'earntodie2012', 'EarntoDiePart2']
+    },
+    {
+        id: 'EarntoDiePart2',
+        name: 'EARN TO DIE PART 2',
+        file: 'Earn to Die Part 2.swf',
+        image: 'https://archive.org/serve/earntodiepart2/earntodiepart2_screenshot.gif',
+        creator: 'Toffee Games',
+        icon: '🔥',
+        tagline: 'Ultimate sequel!',
+        subtitle: 'High octane chaos!',
+        description: 'The ultimate sequel! Bigger levels, deadlier zombies, and insane vehicles. Build your perfect zombie-smashing machine and escape the chaos once again.',
+        highlights: [{ title: 'Full Throttle', icon: '⚙️' }, { title: 'Zombie Obliterator', icon: '🧟' }, { title: 'High Octane', icon: '🏁' }],
+        related: ['earntodie', 'earntodie2012', 'EarntoDie2016']
+    },
+    {
+        id: 'bushshootout',
+        name: 'BUSH SHOOTOUT',
+        file: '1452__bushshootout_game.swf',
+        image: 'https://i.ytimg.com/vi/ykZC9y5R5TY/maxresdefault.jpg',
+        creator: 'Miniclip (Flash Archive)',
+        icon: '🎯',
+        tagline: 'Retro political shooter!',
+        subtitle: 'Retro shooting legends!',
+        description: 'A nostalgic relic from the early 2000s Flash gaming era! Political parody shooter where you take aim and rack up points. A time capsule of internet culture from a different era. Simple, silly, and totally retro!',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Reds Revolutionary', icon: '⭐' }, { title: 'Radio Days', icon: '📻' }, { title: 'Crimes and Misdemeanors', icon: '⚖️' }],
+        related: ['gunblood', 'raftwars', 'tomandjerrybowling']
+    },
+    {
+        id: 'candymachine',
+        name: 'CANDY MACHINE DELUXE',
+        file: 'flash_candymachinedeluxe.swf',
+        image: 'https://archive.org/serve/flash_candymachinedeluxe/flash_candymachinedeluxe_screenshot.png',
+        creator: 'THIS IS POP and published by Cartoon Network Studios',
+        icon: '🍬',
+        tagline: 'Sweet puzzle fun!',
+        subtitle: 'Sweet puzzle masters!',
+        description: 'Match colorful candies in this sweet puzzle adventure! Create special candy combinations for explosive effects. Clear levels, beat high scores, and satisfy your digital sweet tooth in this addictive match-3 classic!',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Because I Said So', icon: '🎀' }, { title: 'The Family Stone', icon: '💍' }, { title: 'Morning Glory', icon: '🌅' }],
+        related: ['jawbreaker', 'gold01', 'tomandjerrybowling']
+    },
+    {
+        id: 'jawbreaker',
+        name: 'JAWBREAKER',
+        file: 'jawbreaker.swf',
+        image: 'https://archive.org/serve/flash_jawbreaker/flash_jawbreaker_screenshot.gif',
+        creator: 'THIS IS POP and published by Cartoon Network Studios',
+        icon: '🍭',
+        tagline: 'Candy smashing action!',
+        subtitle: 'Candy storm crushers!',
+        description: 'Smash, chomp, and blast through walls of colorful candy! Use combos and power-ups to rack up massive scores and keep the jawbreaker frenzy going.',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Sweet Tooth', icon: '🍬' }, { title: 'Combo Crusher', icon: '💥' }, { title: 'Candy Storm', icon: '🍭' }],
+        related: ['candymachine', 'gold01', 'tomandjerrybowling']
+    },
+    {
+        id: 'gold01',
+        name: 'GOLD MINER',
+        file: 'gold01.swf',
+        image: 'https://archive.org/serve/gold01_202103_flash/gold01_202103_flash_screenshot.gif',
+        creator: 'Miniclip',
+        icon: '⚔️',
+        tagline: 'Grab treasures!',
+        subtitle: 'Treasure grabbers!',
+        description: 'Swing your claw and grab precious treasures! Snag gold nuggets, diamonds, and money bags while avoiding worthless rocks. Race against time to reach your goal in each level. The bigger the treasure, the heavier it is!',
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'The Little Drummer Girl', icon: '🥁' }, { title: 'Mad Money', icon: '💰' }, { title: 'Town and Country', icon: '🌾' }],
+        related: ['motherload', 'raftwars', 'candymachine']
+    },
+    {
+        id: 'tomandjerrybowling',
+        name: 'TOM & JERRY BOWLING',
+        file: 'tomandjerrybowling.swf',
+        image: 'https://archive.org/serve/tom-and-jerry-bowling/00_B.png',
+        creator: 'Cartoon Network Games',
+        icon: '🎳',
+        tagline: 'Cartoon bowling!',
+        subtitle: 'Cartoon strike champions!',
+        description: 'Join the legendary cat and mouse duo for cartoon bowling action! Choose your character, aim carefully, and knock down pins for strikes and spares. Classic cartoon fun meets bowling in this family-friendly game!',
+        max_score: 300, // a perfect game of ten-pin
+        score_adapter: { type: 'manual' },
+        highlights: [{ title: 'Something\'s Gotta Strike', icon: '🎳' }, { title: 'The Big Picture', icon: '📺' }, { title: 'Hanging Up', icon: '📞' }],
+        related: ['candymachine', 'gold01', 'bushshootout']
+    },
+    {
+        id: 'hive-hero',
+        name: 'HIVE HERO',
+        file: 'hive-hero.swf',
+        image: 'https://archive.org/serve/miniclip_hive_hero/miniclip_hive_hero_screenshot.gif',
+        creator: 'FlashGameStudio',
+        icon: '🐝',
+        tagline: 'Become the ultimate bee!',
+        subtitle: 'Queen bee commanders!',
+        description: 'Become the ultimate bee! Collect pollen from flowers, defend your hive from invading wasps and hornets, and build the strongest bee colony. Manage your hive, upgrade your workers, and become the hero your colony needs!',
+        highlights: [{ title: 'The Bee Movie Reference', icon: '🐝' }, { title: 'Queen Bee', icon: '👑' }, { title: 'Pollen Collector', icon: '🌸' }],
+        related: ['motherload', 'gold01', 'earntodie']
+    },
+    {
+        id: 'tj_trapomatic',
+        name: 'TJ TRAPOMATIC',
+        file: 'tj_trapomatic.swf',
+        image: 'https://archive.org/serve/tj_trapomatic/tj_trapomatic_screenshot.gif',
+        creator: 'ToonJet Studios',
+        icon: '🎨',
+        tagline: 'Contraption madness!',
+        subtitle: 'Master inventors!',
+        description: 'Help TJ set up elaborate contraptions to solve hilarious challenges! A creative puzzle game packed with cartoon humor and wacky physics.',
+        highlights: [{ title: 'Master Inventor', icon: '🧠' }, { title: 'Perfect Setup', icon: '🎯' }, { title: 'Cartoon Genius', icon: '🎨' }],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'britney_brawl_featuring_bill_vs_britney',
+        name: 'BRITNEY BRAWL',
+        file: 'britney_brawl_featuring_bill_vs_britney.swf',
+        image: 'https://archive.org/serve/1100_britney_brawl_featuring_bill_vs_britney/1100_britney_brawl_featuring_bill_vs_britney_screenshot.jpg',
+        creator: 'Miniclip',
+        icon: '🎮',
+        tagline: 'Pop-star political brawler!',
+        description: 'Britney Brawl Featuring Bill Clinton',
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'bush_vs_kerry',
+        name: 'BUSH VS KERRY',
+        file: 'bush_vs_kerry.swf',
+        image: 'https://archive.org/serve/1100_bush_vs_kerry/1100_bush_vs_kerry_screenshot.jpg',
+        creator: 'Miniclip',
+        icon: '🎮',
+        tagline: 'Presidential knockout!',
+        description: 'Bush vs. Kerry Is a political Presidential Knockout',
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'TheSimpsonsPac-Man',
+        name: 'THE SIMPSONS PAC-MAN',
+        file: 'TheSimpsonsPac-Man.swf',
+        image: 'https://archive.org/serve/simpsons_swf/bandicam%202020-12-01%2011-54-07-178.jpg',
+        creator: 'Fox Studios',
+        icon: '🎮',
+        tagline: 'Donut-chomping maze chase!',
+        description: 'A Simpsons themed Pac-Man complete with playing as Homer, donuts, and voice clips from the show.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'the_simpsons_in_homers_beer_run',
+        name: 'THE SIMPSONS: HOMER\'S BEER RUN',
+        file: 'the_simpsons_in_homers_beer_run.swf',
+        image: 'https://archive.org/serve/1100_the_simpsons_in_homers_beer_run/1100_the_simpsons_in_homers_beer_run_screenshot.jpg',
+        creator: 'Fox Studios',
+        icon: '🎮',
+        tagline: 'Load up the beer barrels!',
+        description: 'Grab barrels using Homer Simpson and store them in your car.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'SpongeBob_bcbowling',
+        name: 'SPONGEBOB B.C. BOWLING',
+        file: 'SpongeBob_bcbowling.swf',
+        image: 'https://static.wikia.nocookie.net/spongebob/images/e/e7/B.C._Bowling.png/revision/latest/scale-to-width-down/267?cb=20150308064309',
+        creator: 'Nickaloden Studioss',
+        icon: '🎮',
+        tagline: 'Prehistoric bowling!',
+        description: 'In this game, you play as SpongeGar and go bowling. Patar keeps track of how many logs (pins) are knocked down. There are 10 frames in each game. In each frame, the player has two chances to knock all the logs down. The game ends after 10 rounds.',
+        max_score: 300, // a perfect game of ten-pin
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'SnowLine',
+        aliases: ['Snow Line'],
+        name: 'SNOW LINE',
+        file: 'SnowLine.swf',
+        image: 'https://i.ytimg.com/vi/EpV6w8aStCc/hqdefault.jpg',
+        creator: 'Miniclip',
+        icon: '🎮',
+        tagline: 'Draw Santa\'s path!',
+        description: 'Snow Line is a Christmas-themed puzzle game where players help Santa Claus, who is unable to use his reindeer, collect scattered presents by drawing snow lines with their mouse. The goal is to draw a path that guides Santa and his sled to all the presents on a level, avoiding obstacles and collecting power-ups along the way.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'SnowLine2',
+        aliases: ['Snow Line 2'],
+        name: 'SNOW LINE 2',
+        file: 'snowline2.swf',
+        image: 'https://www.primarygames.com/holidays/christmas/games/snowline2/logo200.png',
+        creator: 'Miniclip',
+        icon: '🎮',
+        tagline: 'More snowy sled puzzles!',
+        description: 'Snow Line 2 is a puzzle-style game by Iriysoft published by Miniclip where players, as Mrs. Santa, draw lines to help Santa collect presents scattered across the Arctic before Christmas.',
+        score_adapter: { type: 'shared_object', name: 'userLevel', path: 'score' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'simpsons_the_ball_of_death',
+        name: 'SIMPSONS: THE BALL OF DEATH',
+        file: 'simpsons_the_ball_of_death.swf',
+        image: 'https://archive.org/services/img/simpsons-the-ball-of-death',
+        creator: 'Fox Studios',
+        icon: '🎮',
+        tagline: 'Dodge the bricks!',
+        description: 'Race around the ball of death as Homer as you grab the goodies and dodge the bricks.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'simpsons_magic_ball',
+        name: 'SIMPSONS MAGIC BALL',
+        file: 'simpsons_magic_ball.swf',
+        image: 'https://archive.org/serve/simpsons_magic-ball/00_B.png',
+        creator: 'Fox Studios',
+        icon: '🎮',
+        tagline: 'Memory and skill challenge!',
+        description: 'Magic Ball is a classic game of memory and skill. First, watch the sequence of pictures that appear in the large ball, then repeat the sequence by pressing the small balls. Make 3 wrong guesses in one round and you\'ll lose the game.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'BattleBowlers',
+        aliases: ['Battle Bowlers'],
+        name: 'BATTLE BOWLERS',
+        file: 'BattleBowlers.swf',
+        image: 'https://static.wikia.nocookie.net/theamazingworldofgumball/images/2/21/Battle_Bowlers.jpg/revision/latest/scale-to-width-down/400?cb=20200131180917',
+        creator: 'Cartoon Network Games',
+        icon: '🎮',
+        tagline: 'Bowl down mutant pins!',
+        description: 'Battle Bowlers is a game where players knock down mutant bowling pins by throwing a bowling ball, similar to an arcade shooter.',
+        score_adapter: { type: 'manual' },
+        highlights: [],
+        related: ['hive-hero', 'candymachine', 'tomandjerrybowling']
+    },
+    {
+        id: 'rickandmorty',
+        name: 'RICK AND MORTY',
+        file: 'Rick-and-Morty.swf',
+        image: 'https://archive.org/serve/rick-and-mortys-rushed-licensed-adventure/Rick%20and%20Morty\'s%20Rushed%20Licensed%20Adventure%20sceenshot.jpg',
+        creator: 'Adult Swim Games',
+        icon: '🔬',
+        tagline: 'Interdimensional adventure!',
+        subtitle: 'Portal masters!',
+        description: 'Wubba lubba dub dub! Join Rick and Morty on an interdimensional adventure through portals and alternate realities. Solve puzzles, fight aliens, collect items, and survive the multiverse in this action-packed adventure!',
+        highlights: [{ title: 'Get Schwifty', icon: '🎤' }, { title: 'Portal Master', icon: '🌀' }, { title: 'Pickle Rick', icon: '🥒' }],
+        related: ['happywheels', 'robotunicornattack', 'ruahm']
     }
-}
+];
+
+const SCORE_ADAPTER_TYPES = ['shared_object', 'external_interface', 'manual'];
+
+// Filled in by checkCatalogFiles() at startup
+const catalogStatus = {
+    missing: [],
+    orphaned: []
+};
+
+// Compare the catalog against the SWFs actually sitting in games/
+function checkCatalogFiles() {
+    let files = [];
+    try {
+        files = fs.readdirSync(GAMES_DIR).filter(f => f.toLowerCase().endsWith('.swf'));
+    } catch (e) {
+        console.error('Error reading games directory:', e);
+    }
+
+    const onDisk = new Set(files);
+    const referenced = new Set(GAME_CATALOG.map(g => g.file));
 
-// Load data from JSON files
-function loadUsers() {
-    ensureDataDir();
-    if (fs.existsSync(USERS_FILE)) {
-        try {
-            return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-        } catch (e) {
-            console.error('Error loading users:', e);
-            return {};
+    catalogStatus.missing = GAME_CATALOG.filter(g => !onDisk.has(g.file)).map(g => g.id);
+    catalogStatus.orphaned = files.filter(f => !referenced.has(f));
+
+    GAME_CATALOG.forEach(game => {
+        if (!onDisk.has(game.file)) {
+            console.warn(`Catalog: "${game.id}" points at missing file games/${game.file}`);
+        }
+        if (game.score_adapter && !SCORE_ADAPTER_TYPES.includes(game.score_adapter.type)) {
+            console.warn(`Catalog: "${game.id}" has unknown score adapter "${game.score_adapter.type}"`);
         }
+    });
+    catalogStatus.orphaned.forEach(file => {
+        console.warn(`Catalog: games/${file} is not referenced by any catalog entry`);
+    });
+}
+
+function findGame(gameId) {
+    return GAME_CATALOG.find(g => g.id === gameId || (g.aliases || []).includes(gameId)) || null;
+}
+
+function isGameAvailable(game) {
+    return !game.disabled && !catalogStatus.missing.includes(game.id);
+}
+
+function toPublicGame(game) {
+    const { aliases: _, ...publicGame } = game;
+    publicGame.available = isGameAvailable(game);
+    return publicGame;
+}
+
+// ==========================================
+// MOVIE CATALOG
+// ==========================================
+
+// Diane Keaton films that stream for free. One entry per title, listing every
+// provider it's on; movies.html renders straight from GET /api/movies.
+const MOVIE_CATALOG = [
+    {
+        id: 'the-godfather', title: 'The Godfather', year: 1972,
+        description: 'Francis Ford Coppola\'s masterpiece. Keaton as Kay Adams-Corleone.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/the-godfather-1-1972-1-1' }]
+    },
+    {
+        id: 'the-godfather-part-ii', title: 'The Godfather Part II', year: 1974,
+        description: 'Epic sequel. Best Picture winner.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/the-godfather-part-ii-1974-1-1' }]
+    },
+    {
+        id: 'love-and-death', title: 'Love and Death', year: 1975,
+        description: 'Woody Allen\'s Russian lit comedy. Screwball masterpiece.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/love-and-death-1975-1-1' }]
+    },
+    {
+        id: 'harry-and-walter-go-to-new-york', title: 'Harry and Walter Go to New York', year: 1976,
+        description: 'Period comedy with James Caan, Michael Caine.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/527336' }]
+    },
+    {
+        id: 'annie-hall', title: 'Annie Hall', year: 1977,
+        description: 'Academy Award-winning romantic comedy. Keaton\'s iconic role.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/447858' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/annie-hall-1977-1-1' }
+        ]
+    },
+    {
+        id: 'interiors', title: 'Interiors', year: 1978,
+        description: 'Allen\'s serious Bergman-inspired family drama.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/481156' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/interiors-1978-1-1' }
+        ]
+    },
+    {
+        // Tubi used to be listed too, but with Smother's link
+        id: 'manhattan', title: 'Manhattan', year: 1979,
+        description: 'Woody Allen\'s black-and-white NYC love letter.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/manhattan-1979-1-1' }]
+    },
+    {
+        id: 'reds', title: 'Reds', year: 1981,
+        description: 'Warren Beatty\'s epic. Keaton Oscar-nominated.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/reds-1981-1-1' }]
+    },
+    {
+        id: 'crimes-of-the-heart', title: 'Crimes of the Heart', year: 1986,
+        description: 'Three sisters reunite. Stars Jessica Lange.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/456331' }]
+    },
+    {
+        id: 'baby-boom', title: 'Baby Boom', year: 1987,
+        description: 'A Manhattan career woman inherits a baby. Nancy Meyers comedy classic.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/100007410' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/baby-boom-1987-1-1' }
+        ]
+    },
+    {
+        id: 'radio-days', title: 'Radio Days', year: 1987,
+        description: 'Woody Allen\'s nostalgic look at 1940s Brooklyn radio.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/451027' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/radio-days-1987-1-1' }
+        ]
+    },
+    {
+        id: 'the-only-thrill', title: 'The Only Thrill', year: 1997,
+        description: 'Decades-spanning romance. Stars Sam Shepard.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/477192' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/the-only-thrill-1997-1-1' }
+        ]
+    },
+    {
+        id: 'crossed-over', title: 'Crossed Over', year: 2002,
+        description: 'TV movie about death row pen pals.',
+        providers: [{ id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/crossed-over-2002-1-1' }]
+    },
+    {
+        id: 'on-thin-ice', title: 'On Thin Ice', year: 2003,
+        description: 'Widow turns to drug dealing. Powerful drama.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/438891' }]
+    },
+    {
+        id: 'mamas-boy', title: 'Mama\'s Boy', year: 2007,
+        description: '29-year-old lives with mother. Stars Anna Faris.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/418624' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/mamas-boy-2007-1-1' }
+        ]
+    },
+    {
+        id: 'smother', title: 'Smother', year: 2008,
+        description: 'Mother moves in with son, dark comedy ensues.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/400948' }]
+    },
+    {
+        id: 'darling-companion', title: 'Darling Companion', year: 2012,
+        description: 'Family searches for lost dog. Stars Kevin Kline.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/440915' }]
+    },
+    {
+        id: 'love-the-coopers', title: 'Love the Coopers', year: 2015,
+        description: 'Family Christmas chaos. Stars John Goodman.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/470648' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/love-the-coopers-2015-1-1' }
+        ]
+    },
+    {
+        id: 'hampstead', title: 'Hampstead', year: 2017,
+        description: 'American widow in London falls for squatter.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/533882' }]
+    },
+    {
+        id: 'poms', title: 'Poms', year: 2019,
+        description: 'Woman forms cheerleading squad at retirement home.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/534189' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/poms-2019-1-1' }
+        ]
+    },
+    {
+        id: 'love-weddings-and-other-disasters', title: 'Love, Weddings & Other Disasters', year: 2020,
+        description: 'Boston-set romantic comedy anthology.',
+        providers: [
+            { id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/596033' },
+            { id: 'pluto', name: 'Pluto TV', url: 'https://pluto.tv/en/on-demand/movies/love-weddings-other-disasters-2020-1-1' }
+        ]
+    },
+    {
+        id: 'maybe-i-do', title: 'Maybe I Do', year: 2023,
+        description: 'Parents meet at wedding. Stars Emma Roberts, Richard Gere.',
+        providers: [{ id: 'tubi', name: 'Tubi', url: 'https://tubitv.com/movies/100008877' }]
     }
-    return {};
+];
+
+function findMovie(movieId) {
+    return MOVIE_CATALOG.find(m => m.id === movieId) || null;
 }
 
-function loadScores() {
-    ensureDataDir();
-    if (fs.existsSync(SCORES_FILE)) {
-        try {
-            return JSON.parse(fs.readFileSync(SCORES_FILE, 'utf8'));
-        } catch (e) {
-            console.error('Error loading scores:', e);
-            return [];
-        }
+// The title a provider link belongs to, for history kept as URLs
+function findMovieByUrl(url) {
+    return MOVIE_CATALOG.find(m => m.providers.some(p => p.url === url)) || null;
+}
+
+// The same link on two titles is always a copy-paste mistake
+function checkMovieCatalog() {
+    const seen = {};
+    MOVIE_CATALOG.forEach(movie => {
+        movie.providers.forEach(provider => {
+            if (seen[provider.url]) {
+                console.warn(`Movies: "${movie.id}" and "${seen[provider.url]}" share ${provider.url}`);
+            }
+            seen[provider.url] = movie.id;
+        });
+    });
+}
+
+// Movie ids the user has watched, in the order they first watched them
+function watchedMovieIds(user) {
+    return (user.movie_history || []).map(entry => entry.movie_id);
+}
+
+// Before the catalog, views were kept as a list of provider URLs (from
+// movies.html and the local profile import). Turn those into history entries.
+function migrateLegacyMovieViews() {
+    store.users.all().forEach(user => {
+        if (!Array.isArray(user.movies_watched)) return;
+
+        if (!user.movie_history) user.movie_history = [];
+        const watched = new Set(watchedMovieIds(user));
+        user.movies_watched.forEach(url => {
+            const movie = findMovieByUrl(url);
+            if (!movie || watched.has(movie.id)) return;
+            watched.add(movie.id);
+            user.movie_history.push({ movie_id: movie.id, provider: null, watched_at: null });
+        });
+
+        delete user.movies_watched;
+        store.users.save(user);
+    });
+}
+
+// ==========================================
+// PROGRESSION
+// ==========================================
+
+// The one place XP and levels are worked out. Every grant goes through
+// grantXp(), which applies the prestige bonus, writes it to the XP ledger and
+// moves the level along LEVEL_CURVE. Pages show what the API sends back.
+
+// Total XP needed to reach a level: base * (level - 1) ^ exponent. After
+// changing the curve or XP_RULES, run `node server.js --recompute-xp` once so
+// existing players are measured the same way as new ones.
+const LEVEL_CURVE = { base: 100, exponent: 1 };
+
+// XP per source. Achievements pay their own xp_reward, daily challenges
+// DAILY_REWARD and tournaments TOURNAMENT_PRIZES.
+const XP_RULES = {
+    // One XP per points_per_xp points, capped so one huge score can't skip
+    // a dozen levels
+    score: { points_per_xp: 10, max: 1000 },
+    // On top of the score's own XP
+    personal_best: 50,
+    first_play: 25,
+    // First view of each title only
+    movie: 50
+};
+
+const XP_HISTORY_LIMIT = 50;
+
+function xpForLevel(level) {
+    return Math.round(LEVEL_CURVE.base * Math.pow(level - 1, LEVEL_CURVE.exponent));
+}
+
+// Levels stop at PRESTIGE_LEVEL_CAP; XP keeps counting until they prestige
+function levelForXp(xp) {
+    let level = 1;
+    while (level < PRESTIGE_LEVEL_CAP && xpForLevel(level + 1) <= xp) {
+        level += 1;
     }
-    return [];
+    return level;
 }
 
-function loadAchievements() {
-    ensureDataDir();
-    if (fs.existsSync(ACHIEVEMENTS_FILE)) {
-        try {
-            return JSON.parse(fs.readFileSync(ACHIEVEMENTS_FILE, 'utf8'));
-        } catch (e) {
-            console.error('Error loading achievements:', e);
-            return [];
-        }
+function scoreXp(score) {
+    return Math.min(Math.floor(score / XP_RULES.score.points_per_xp), XP_RULES.score.max);
+}
+
+// Adds XP with the user's prestige bonus, records it in the ledger under
+// `source` and returns what was actually added. Mutates `user`, so callers
+// must save the user afterwards.
+function grantXp(user, source, amount, ref = null) {
+    const previousLevel = user.level || 1;
+    const gained = Math.floor(amount * prestigeMultiplier(user));
+    if (gained <= 0) return 0;
+
+    user.xp = (user.xp || 0) + gained;
+    user.level = levelForXp(user.xp);
+    store.xpLedger.append({
+        userId: user.id,
+        source,
+        ref,
+        base: amount,
+        amount: gained,
+        xp_after: user.xp,
+        level_after: user.level,
+        at: new Date().toISOString()
+    });
+
+    if (user.level > previousLevel) {
+        publishEvent('level_up', { user_id: user.id, username: user.username, level: user.level, prestige: user.prestige || 0 });
+    }
+    return gained;
+}
+
+// One entry per level gained since `previousLevel`, for responses to
+// celebrate. Empty when the player didn't level up.
+function levelUpsSince(user, previousLevel) {
+    const levelUps = [];
+    for (let level = previousLevel + 1; level <= (user.level || 1); level += 1) {
+        levelUps.push({ level, xp_required: xpForLevel(level) });
     }
-    return [];
+    return levelUps;
+}
+
+// Where the player stands between this level and the next, so pages can
+// draw an XP bar without knowing the curve. next_level_xp is null at the cap.
+function toPublicProgress(user) {
+    const level = user.level || 1;
+    const xp = user.xp || 0;
+    const atCap = level >= PRESTIGE_LEVEL_CAP;
+    return {
+        level,
+        xp,
+        level_xp: xpForLevel(level),
+        next_level_xp: atCap ? null : xpForLevel(level + 1),
+        xp_to_next_level: atCap ? 0 : Math.max(xpForLevel(level + 1) - xp, 0)
+    };
+}
+
+// Everything a player has done that pays XP, under the current rules:
+// user id -> [{ source, amount, ref, at }]
+function collectXpGrants() {
+    const grants = new Map();
+    const add = (userId, source, amount, ref, at) => {
+        if (!userId || amount <= 0) return;
+        if (!grants.has(userId)) grants.set(userId, []);
+        grants.get(userId).push({ source, amount, ref, at });
+    };
+
+    const bests = new Map();
+    [...store.scores.all()]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .forEach(record => {
+            add(record.userId, 'score', scoreXp(record.score), record.game_name, record.timestamp);
+            const key = `${record.userId}:${record.game_name}`;
+            if (!bests.has(key) || record.score > bests.get(key)) {
+                bests.set(key, record.score);
+                add(record.userId, 'personal_best', XP_RULES.personal_best, record.game_name, record.timestamp);
+            }
+        });
+
+    const played = new Set();
+    store.plays.all().forEach(play => {
+        const key = `${play.userId}:${play.game_id}`;
+        if (!play.userId || played.has(key)) return;
+        played.add(key);
+        add(play.userId, 'first_play', XP_RULES.first_play, play.game_id, play.timestamp);
+    });
+
+    // Imported unlocks never paid out
+    store.achievements.all().forEach(unlock => {
+        const achievement = ACHIEVEMENTS.find(a => a.id === unlock.achievementId);
+        if (achievement && !unlock.imported) add(unlock.userId, 'achievement', achievement.xp_reward, achievement.id, unlock.unlockedAt);
+    });
+
+    // Views carried over from the old movies page have no date and never
+    // earned anything on the server
+    store.users.all().forEach(user => {
+        (user.movie_history || [])
+            .filter(entry => entry.watched_at)
+            .forEach(entry => add(user.id, 'movie', XP_RULES.movie, entry.movie_id, entry.watched_at));
+    });
+
+    store.challenges.allDaily().forEach(challenge => {
+        challenge.completions.forEach(c => add(c.userId, 'daily_challenge', DAILY_REWARD.xp, challenge.date, c.completed_at));
+    });
+    store.challenges.tournaments().forEach(tournament => {
+        (tournament.standings || []).forEach(row => {
+            if (row.prize) add(row.user_id, 'tournament', row.prize.xp, tournament.id, tournament.closed_at);
+        });
+    });
+
+    return grants;
 }
 
-// Save data to JSON files
-function saveUsers(users) {
-    ensureDataDir();
-    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+// Rebuilds every player's XP and level from their history and replaces the
+// ledger to match. Only what happened since a player's last prestige counts,
+// at their current bonus. Returns one line per player whose XP changed.
+async function recomputeAllXp({ dryRun = false } = {}) {
+    const grants = collectXpGrants();
+    const ledger = [];
+    const changes = [];
+
+    store.users.all().forEach(user => {
+        const lastPrestige = (user.prestige_history || []).slice(-1)[0];
+        const since = lastPrestige ? Date.parse(lastPrestige.at) : -Infinity;
+        const multiplier = prestigeMultiplier(user);
+
+        let xp = 0;
+        (grants.get(user.id) || [])
+            .filter(grant => (grant.at ? Date.parse(grant.at) : -Infinity) >= since)
+            .sort((a, b) => Date.parse(a.at || 0) - Date.parse(b.at || 0))
+            .forEach(grant => {
+                const gained = Math.floor(grant.amount * multiplier);
+                xp += gained;
+                ledger.push({
+                    userId: user.id,
+                    source: grant.source,
+                    ref: grant.ref,
+                    base: grant.amount,
+                    amount: gained,
+                    xp_after: xp,
+                    level_after: levelForXp(xp),
+                    at: grant.at,
+                    recomputed: true
+                });
+            });
+
+        const level = levelForXp(xp);
+        if (xp !== (user.xp || 0) || level !== (user.level || 1)) {
+            changes.push(`${user.username}: ${user.xp || 0} XP (level ${user.level || 1}) -> ${xp} XP (level ${level})`);
+        }
+        if (!dryRun) {
+            user.xp = xp;
+            user.level = level;
+            store.users.save(user);
+        }
+    });
+
+    if (!dryRun) {
+        await store.xpLedger.rewrite(ledger);
+    }
+    return changes;
 }
 
-function saveScores(scores) {
-    ensureDataDir();
-    fs.writeFileSync(SCORES_FILE, JSON.stringify(scores, null, 2));
+// ==========================================
+// ACHIEVEMENT ENGINE
+// ==========================================
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Definitions and their checks live in achievements.js. This gathers
+// everything they are checked against besides the user.
+function achievementRecordsFor(user) {
+    const registeredAt = u => Date.parse(u.registered_at || u.created_at);
+
+    return {
+        scores: store.scores.all(),
+        plays: store.plays.all(),
+        unlocks: store.achievements.all(),
+        games: GAME_CATALOG.map(game => ({
+            id: game.id,
+            available: isGameAvailable(game),
+            trusted: hasTrustedScores(game),
+            scoreless: !game.score_adapter,
+            max_score: game.max_score || null
+        })),
+        friendLinks: [...store.friends.friendshipsOf(user.id), ...store.friends.outgoing(user.id)],
+        tournaments: store.challenges.tournaments(),
+        dailyChallenges: store.challenges.allDaily(),
+        cloudSaves: store.cloudSaves.forUser(user.id),
+        ratings: store.ratings.forUser(user.id),
+        moviesWatched: watchedMovieIds(user).filter(findMovie).length,
+        movieCount: MOVIE_CATALOG.length,
+        coinsEarned: store.coins.forUser(user.id).filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0),
+        arcadeOpenedAt: Math.min(...store.users.all().map(registeredAt).filter(Number.isFinite)),
+        levelCap: PRESTIGE_LEVEL_CAP
+    };
 }
 
-function saveAchievements(achievements) {
-    ensureDataDir();
-    fs.writeFileSync(ACHIEVEMENTS_FILE, JSON.stringify(achievements, null, 2));
+// Unlock everything the user now qualifies for, granting each xp_reward once.
+// Mutates `user`, so callers must save the user afterwards. Returns the newly
+// unlocked achievements so responses can celebrate them.
+function evaluateAchievements(user) {
+    const owned = new Set(store.achievements.forUser(user.id).map(u => u.achievementId));
+    const records = achievementRecordsFor(user);
+    const newlyUnlocked = [];
+
+    // Rewards can push the user over a level threshold, so keep going until
+    // nothing new unlocks
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const stats = buildAchievementStats(user, { ...records, unlockedCount: owned.size });
+
+        ACHIEVEMENTS.forEach(achievement => {
+            if (!achievement.check || owned.has(achievement.id) || !achievement.check(stats)) return;
+
+            const { unlockedAt } = store.achievements.unlock(user.id, achievement.id);
+            owned.add(achievement.id);
+            grantXp(user, 'achievement', achievement.xp_reward, achievement.id);
+            grantCoins(user, COIN_REWARDS.achievement, 'achievement', achievement.id);
+            newlyUnlocked.push({ ...toPublicAchievement(achievement), unlocked_at: unlockedAt });
+            publishEvent('achievement', {
+                user_id: user.id,
+                username: user.username,
+                achievement: { id: achievement.id, name: achievement.name, icon: achievement.icon }
+            });
+            changed = true;
+        });
+    }
+
+    return newlyUnlocked;
 }
 
 // ==========================================
 // AUTHENTICATION ROUTES
 // ==========================================
 
+// Each user carries a session_version that goes up whenever their password
+// changes. Sessions stamped with an older version are signed out here, and so
+// are banned or suspended players (see ADMIN & MODERATION).
+app.use((req, res, next) => {
+    if (!req.session.userId) return next();
+
+    const user = store.users.get(req.session.userId);
+    if (!user || (user.session_version || 0) !== (req.session.sessionVersion || 0) || activeBan(user)) {
+        delete req.session.userId;
+        delete req.session.sessionVersion;
+    }
+    next();
+});
+
+// Signs in on a fresh session id, so an id someone planted before login
+// (every visitor can get one from /api/csrf-token) is worthless afterwards
+function startUserSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(error => {
+            if (error) return reject(error);
+            req.session.userId = user.id;
+            req.session.sessionVersion = user.session_version || 0;
+            resolve();
+        });
+    });
+}
+
+// The signed-in user, or null once a 401/404 has been sent
+function requireSessionUser(req, res) {
+    if (!req.session.userId) {
+        res.status(401).json({ error: 'Not authenticated' });
+        return null;
+    }
+    const user = store.users.get(req.session.userId);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+}
+
+// The ban or suspension keeping `user` out right now, or null. Suspensions
+// carry an `until`; bans don't.
+function activeBan(user, now = Date.now()) {
+    const ban = user.ban;
+    if (!ban) return null;
+    if (ban.until && Date.parse(ban.until) <= now) return null;
+    return ban;
+}
+
+// What a banned player is told when they try to log in
+function banError(ban) {
+    return {
+        error: ban.until
+            ? `This account is suspended until ${new Date(ban.until).toUTCString()}`
+            : 'This account has been banned',
+        reason: ban.reason,
+        until: ban.until || null
+    };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const PASSWORD_MIN_LENGTH = 8;
+
+// Field name -> message for everything wrong with a sign-up. Empty when valid.
+function validateRegistration({ email, username, password }) {
+    const fields = {};
+
+    if (typeof email !== 'string' || !email.trim()) {
+        fields.email = 'Email is required';
+    } else if (email.length > 254 || !EMAIL_PATTERN.test(email)) {
+        fields.email = 'Enter a valid email address';
+    } else if (store.users.findByEmail(email)) {
+        fields.email = 'An account with this email already exists';
+    }
+
+    if (typeof username !== 'string' || !username) {
+        fields.username = 'Username is required';
+    } else if (!USERNAME_PATTERN.test(username)) {
+        fields.username = 'Use 3-20 letters, numbers or underscores';
+    } else if (store.users.findByUsername(username)) {
+        fields.username = 'That username is taken';
+    }
+
+    const passwordError = validatePassword(password, username);
+    if (passwordError) {
+        fields.password = passwordError;
+    }
+
+    return fields;
+}
+
+// Message describing what's wrong with a new password, or null if it's fine
+function validatePassword(password, username) {
+    if (typeof password !== 'string' || !password) {
+        return 'Password is required';
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return `Use at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return 'Include at least one letter and one number';
+    }
+    if (typeof username === 'string' && username && password.toLowerCase().includes(username.toLowerCase())) {
+        return 'Password must not contain your username';
+    }
+    return null;
+}
+
+// A fresh account record. `password` is a bcrypt hash, or null for accounts
+// that only sign in through OAuth.
+function buildNewUser({ email, username, password }) {
+    return {
+        id: Date.now().toString(),
+        email,
+        username,
+        password,
+        role: 'player',
+        level: 1,
+        xp: 0,
+        prestige: 0,
+        total_score: 0,
+        total_games_played: 0,
+        highest_score: 0,
+        avatar_url: `https://via.placeholder.com/30?text=${username.charAt(0).toUpperCase()}`,
+        shop_items_checked: true,
+        created_at: new Date().toISOString()
+    };
+}
+
+// False for accounts without a password rather than throwing inside bcrypt
+function checkPassword(user, password) {
+    if (!user.password || typeof password !== 'string') return Promise.resolve(false);
+    return bcrypt.compare(password, user.password);
+}
+
 // Register
 app.post('/api/register', async (req, res) => {
     try {
-        const { email, username, password } = req.body;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+        const { username, password } = req.body;
 
-        if (!email || !username || !password) {
-            return res.status(400).json({ error: 'All fields required' });
-        }
-
-        const users = loadUsers();
-
-        // Check if user exists
-        if (Object.values(users).some(u => u.email === email || u.username === username)) {
-            return res.status(400).json({ error: 'Email or username already exists' });
+        const fields = validateRegistration({ email, username, password });
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Please fix the highlighted fields', fields });
         }
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Create new user
-        const userId = Date.now().toString();
-        const newUser = {
-            id: userId,
-            email,
-            username,
-            password: hashedPassword,
-            level: 1,
-            xp: 0,
-            total_score: 0,
-            total_games_played: 0,
-            highest_score: 0,
-            avatar_url: `https://via.placeholder.com/30?text=${username.charAt(0).toUpperCase()}`,
-            created_at: new Date().toISOString()
-        };
+        const newUser = buildNewUser({ email, username, password: hashedPassword });
 
-        users[userId] = newUser;
-        saveUsers(users);
+        // create() re-checks uniqueness in case another registration for the
+        // same name finished while we were hashing
+        store.users.create(newUser);
+        evaluateAchievements(newUser);
+        store.users.save(newUser);
 
         res.json({ success: true, message: 'User registered successfully' });
     } catch (error) {
+        if (error.code === 'CONFLICT') {
+            const field = error.message.startsWith('Email') ? 'email' : 'username';
+            return res.status(400).json({ error: error.message, fields: { [field]: error.message } });
+        }
         console.error('Registration error:', error);
         res.status(500).json({ error: 'Registration failed' });
     }
 });
 
-// Login
+// Guessing passwords is limited two ways: attempts per IP address, and a
+// lockout on the account (or unknown name) from one IP address after
+// repeated failures in a row. The lockout is per address so nobody can lock
+// a player out of their own account by guessing wrong on purpose.
+const loginIpLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Failure key -> { count, lockedUntil, lastFailureAt }
+const loginFailures = new Map();
+
+// Unknown names are tracked too, so a lockout doesn't reveal which accounts exist
+function loginAccountKey(user, login) {
+    return user ? user.id : `unknown:${login.trim().toLowerCase()}`;
+}
+
+function loginFailureKey(accountKey, ip) {
+    return `${accountKey}|${ip}`;
+}
+
+function loginLockedFor(key, now = Date.now()) {
+    const failures = loginFailures.get(key);
+    return failures && failures.lockedUntil > now ? failures.lockedUntil - now : 0;
+}
+
+function recordLoginFailure(key, now = Date.now()) {
+    const failures = loginFailures.get(key);
+    // Failures spread further apart than the lockout don't add up
+    const count = failures && now - failures.lastFailureAt < LOGIN_LOCKOUT_MS ? failures.count + 1 : 1;
+
+    loginFailures.set(key, count >= LOGIN_LOCKOUT_THRESHOLD
+        ? { count: 0, lockedUntil: now + LOGIN_LOCKOUT_MS, lastFailureAt: now }
+        : { count, lockedUntil: failures ? failures.lockedUntil : 0, lastFailureAt: now });
+}
+
+// After a password change, every address gets a fresh start on the account
+function clearLoginFailures(accountKey) {
+    [...loginFailures.keys()]
+        .filter(key => key.startsWith(`${accountKey}|`))
+        .forEach(key => loginFailures.delete(key));
+}
+
+// Forget lockouts that have ended and failures too old to count
+function pruneLoginFailures(now = Date.now()) {
+    loginFailures.forEach((failures, key) => {
+        if (failures.lockedUntil <= now && now - failures.lastFailureAt >= LOGIN_LOCKOUT_MS) {
+            loginFailures.delete(key);
+        }
+    });
+}
+
+setInterval(pruneLoginFailures, LOGIN_LOCKOUT_MS).unref();
+
+function tooManyLoginAttempts(res, waitMs) {
+    const seconds = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+        error: `Too many login attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`,
+        retry_after_seconds: seconds
+    });
+}
+
+// Login with either username or email. `email` is still accepted for older clients.
 app.post('/api/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { password } = req.body;
+        const login = req.body.login || req.body.email || req.body.username;
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password required' });
+        if (typeof login !== 'string' || !login || typeof password !== 'string' || !password) {
+            return res.status(400).json({ error: 'Username or email and password required' });
         }
 
-        const users = loadUsers();
-        const user = Object.values(users).find(u => u.email === email);
+        if (!loginIpLimiter.hit(req.ip)) {
+            return tooManyLoginAttempts(res, LOGIN_LOCKOUT_MS);
+        }
+
+        const user = login.includes('@')
+            ? store.users.findByEmail(login.trim())
+            : store.users.findByUsername(login.trim());
+
+        // A locked account refuses even the right password from that address
+        // until the lock ends
+        const failureKey = loginFailureKey(loginAccountKey(user, login), req.ip);
+        const lockedFor = loginLockedFor(failureKey);
+        if (lockedFor > 0) {
+            return tooManyLoginAttempts(res, lockedFor);
+        }
 
-        if (!user || !(await bcrypt.compare(password, user.password))) {
+        if (!user || !(await checkPassword(user, password))) {
+            recordLoginFailure(failureKey);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+        loginFailures.delete(failureKey);
+
+        const ban = activeBan(user);
+        if (ban) {
+            return res.status(403).json(banError(ban));
+        }
 
         // Set session
-        req.session.userId = user.id;
+        await startUserSession(req, user);
 
         // Return user data (without password)
         const { password: _, ...userWithoutPassword } = user;
@@ -188,8 +1424,10 @@ app.post('/api/login', async (req, res) => {
 
 // Logout
 app.post('/api/logout', (req, res) => {
-    req.session.destroy();
-    res.json({ success: true, message: 'Logged out' });
+    req.session.destroy(() => {
+        res.clearCookie('connect.sid');
+        res.json({ success: true, message: 'Logged out' });
+    });
 });
 
 // Check auth status
@@ -198,153 +1436,4162 @@ app.get('/api/user', (req, res) => {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const users = loadUsers();
-    const user = users[req.session.userId];
+    const user = store.users.get(req.session.userId);
 
     if (!user) {
         return res.status(404).json({ error: 'User not found' });
     }
 
     const { password: _, ...userWithoutPassword } = user;
-    res.json(userWithoutPassword);
+    res.json({ ...userWithoutPassword, progress: toPublicProgress(user) });
 });
 
 // ==========================================
-// GAME ROUTES
+// ACCOUNT MANAGEMENT ROUTES
 // ==========================================
 
-// Save game score
-app.post('/api/game/score', (req, res) => {
+// Sliding-window counter: hit() returns false once `key` is over budget.
+// Keys with no hits left in the window are swept out every window.
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+    const limiter = {
+        hit(key) {
+            const now = Date.now();
+            const recent = (hits.get(key) || []).filter(t => now - t < windowMs);
+            if (recent.length >= max) {
+                hits.set(key, recent);
+                return false;
+            }
+            recent.push(now);
+            hits.set(key, recent);
+            return true;
+        },
+
+        prune(now = Date.now()) {
+            hits.forEach((times, key) => {
+                if (times.every(t => now - t >= windowMs)) hits.delete(key);
+            });
+        }
+    };
+
+    setInterval(() => limiter.prune(), windowMs).unref();
+    return limiter;
+}
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Reset requests per email address, so the form can't be used to flood an inbox
+const passwordResetLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 3 });
+
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// New password for `user`. Bumping session_version signs out every other
+// session; pass the current request to keep that one signed in.
+async function setPassword(user, password, req = null) {
+    user.password = await bcrypt.hash(password, 10);
+    user.session_version = (user.session_version || 0) + 1;
+    user.password_changed_at = new Date().toISOString();
+    store.passwordResets.consumeForUser(user.id);
+    store.users.save(user);
+    // Whoever set a new password can log in with it straight away
+    clearLoginFailures(user.id);
+
+    if (req) {
+        await startUserSession(req, user);
+    }
+
+    mailer.send({
+        to: user.email,
+        subject: "Your Diane's Arcade password was changed",
+        text: `Hi ${user.username},\n\nThe password for your arcade account was just changed and any other devices were signed out.\n\nIf this wasn't you, reset your password right away at ${SITE_URL}/login.html`
+    });
+}
+
+app.post('/api/user/password', async (req, res) => {
     try {
         if (!req.session.userId) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
 
-        const { game_name, score } = req.body;
-        const users = loadUsers();
-        const user = users[req.session.userId];
+        const { current_password, new_password } = req.body;
+        const user = store.users.get(req.session.userId);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Update user stats
-        user.total_score = (user.total_score || 0) + score;
-        user.total_games_played = (user.total_games_played || 0) + 1;
-        user.highest_score = Math.max(user.highest_score || 0, score);
-
-        // Calculate level based on XP
-        const xpGain = Math.floor(score / 10);
-        user.xp = (user.xp || 0) + xpGain;
-        user.level = Math.floor(user.xp / 100) + 1;
+        // Accounts created through OAuth have no password yet and may set one
+        if (user.password && !(await checkPassword(user, current_password))) {
+            return res.status(403).json({ error: 'Current password is incorrect', fields: { current_password: 'Current password is incorrect' } });
+        }
 
-        saveUsers(users);
+        const passwordError = validatePassword(new_password, user.username);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError, fields: { new_password: passwordError } });
+        }
 
-        // Save score record
-        const scores = loadScores();
-        scores.push({
-            userId: req.session.userId,
-            username: user.username,
-            game_name,
-            score,
-            timestamp: new Date().toISOString()
-        });
-        saveScores(scores);
+        await setPassword(user, new_password, req);
 
-        res.json({ success: true, message: 'Score saved', xp_gained: xpGain });
+        res.json({ success: true, message: 'Password changed. Other devices have been signed out.' });
     } catch (error) {
-        console.error('Score save error:', error);
-        res.status(500).json({ error: 'Failed to save score' });
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
-// ==========================================
-// LEADERBOARD ROUTES
-// ==========================================
-
-app.get('/api/leaderboard', (req, res) => {
+app.post('/api/user/email', async (req, res) => {
     try {
-        const users = loadUsers();
-        const leaderboard = Object.values(users)
-            .sort((a, b) => (b.total_score || 0) - (a.total_score || 0))
-            .slice(0, 50)
-            .map(user => ({
-                id: user.id,
-                username: user.username,
-                level: user.level,
-                total_score: user.total_score,
-                total_games_played: user.total_games_played,
-                avatar_url: user.avatar_url
-            }));
-
-        res.json(leaderboard);
-    } catch (error) {
-        console.error('Leaderboard error:', error);
-        res.status(500).json({ error: 'Failed to load leaderboard' });
-    }
-});
-
-// ==========================================
-// USER PROFILE ROUTES
-// ==========================================
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
 
-app.get('/api/user/profile/:userId', (req, res) => {
-    try {
-        const users = loadUsers();
-        const user = users[req.params.userId];
+        const { current_password } = req.body;
+        const newEmail = typeof req.body.new_email === 'string' ? req.body.new_email.trim() : '';
+        const user = store.users.get(req.session.userId);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Get user achievements
-        const achievements = loadAchievements();
-        const userAchievements = achievements.filter(a => a.userId === req.params.userId);
+        if (user.password && !(await checkPassword(user, current_password))) {
+            return res.status(403).json({ error: 'Current password is incorrect', fields: { current_password: 'Current password is incorrect' } });
+        }
 
-        const { password: _, ...profile } = user;
-        profile.achievements_unlocked = userAchievements.length;
+        if (newEmail.length > 254 || !EMAIL_PATTERN.test(newEmail)) {
+            return res.status(400).json({ error: 'Enter a valid email address', fields: { new_email: 'Enter a valid email address' } });
+        }
 
-        res.json(profile);
-    } catch (error) {
+        const owner = store.users.findByEmail(newEmail);
+        if (owner && owner.id !== user.id) {
+            return res.status(400).json({ error: 'An account with this email already exists', fields: { new_email: 'An account with this email already exists' } });
+        }
+
+        const oldEmail = user.email;
+        user.email = newEmail;
+        // Nobody has shown they can read the new address yet, and a reset
+        // link already sent to the old one shouldn't vouch for it either
+        delete user.email_verified_at;
+        store.passwordResets.consumeForUser(user.id);
+        store.users.save(user);
+
+        // Tell the old address, in case someone else is taking over the account
+        mailer.send({
+            to: oldEmail,
+            subject: "Your Diane's Arcade email was changed",
+            text: `Hi ${user.username},\n\nThe email on your arcade account was changed to ${newEmail}.\n\nIf this wasn't you, please contact us right away.`
+        });
+
+        res.json({ success: true, message: 'Email updated', email: newEmail });
+    } catch (error) {
+        console.error('Email change error:', error);
+        res.status(500).json({ error: 'Failed to change email' });
+    }
+});
+
+// Always answers the same way, so it can't be used to find out who has an account
+app.post('/api/password/forgot', (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        const response = { success: true, message: 'If that email has an account, a reset link is on its way.' };
+
+        if (!email || !passwordResetLimiter.hit(email.toLowerCase())) {
+            return res.json(response);
+        }
+
+        const user = store.users.findByEmail(email);
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+            store.passwordResets.create(hashResetToken(token), {
+                userId: user.id,
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString()
+            });
+
+            mailer.send({
+                to: user.email,
+                subject: "Reset your Diane's Arcade password",
+                text: `Hi ${user.username},\n\nUse this link within the next hour to choose a new password:\n\n${SITE_URL}/login.html?reset_token=${token}\n\nIf you didn't ask for this, you can ignore this email.`
+            });
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+app.post('/api/password/reset', async (req, res) => {
+    try {
+        const { token, new_password } = req.body;
+
+        const reset = typeof token === 'string' ? store.passwordResets.findValid(hashResetToken(token)) : null;
+        const user = reset ? store.users.get(reset.userId) : null;
+
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const passwordError = validatePassword(new_password, user.username);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError, fields: { new_password: passwordError } });
+        }
+
+        // Use the token up before hashing, so a second request racing this
+        // one finds it already spent
+        store.passwordResets.consumeForUser(user.id);
+        // The link only reached them through their inbox
+        user.email_verified_at = new Date().toISOString();
+        await setPassword(user, new_password);
+
+        res.json({ success: true, message: 'Password reset. You can log in now.' });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// ==========================================
+// OAUTH LOGIN
+// ==========================================
+
+// Authorization-code login through third parties. A provider is enabled once
+// its client id and secret are set. Every endpoint URL can be overridden
+// (e.g. DISCORD_TOKEN_URL) to point at a local mock such as
+// scripts/mock-oauth-server.js.
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+
+function oauthProvider(key, name, defaults, toIdentity) {
+    const env = key.toUpperCase();
+    return {
+        key,
+        name,
+        clientId: process.env[`${env}_CLIENT_ID`],
+        clientSecret: process.env[`${env}_CLIENT_SECRET`],
+        authorizeUrl: process.env[`${env}_AUTHORIZE_URL`] || defaults.authorizeUrl,
+        tokenUrl: process.env[`${env}_TOKEN_URL`] || defaults.tokenUrl,
+        userInfoUrl: process.env[`${env}_USERINFO_URL`] || defaults.userInfoUrl,
+        scope: defaults.scope,
+        toIdentity
+    };
+}
+
+const OAUTH_PROVIDERS = {
+    discord: oauthProvider('discord', 'Discord', {
+        authorizeUrl: 'https://discord.com/oauth2/authorize',
+        tokenUrl: 'https://discord.com/api/oauth2/token',
+        userInfoUrl: 'https://discord.com/api/users/@me',
+        scope: 'identify email'
+    }, data => ({
+        id: String(data.id),
+        email: data.email || null,
+        emailVerified: data.verified === true,
+        username: data.global_name || data.username
+    })),
+    google: oauthProvider('google', 'Google', {
+        authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+        scope: 'openid email profile'
+    }, data => ({
+        id: String(data.sub),
+        email: data.email || null,
+        emailVerified: data.email_verified === true,
+        username: data.name || (data.email || '').split('@')[0]
+    }))
+};
+
+function isProviderConfigured(provider) {
+    return Boolean(provider && provider.clientId && provider.clientSecret);
+}
+
+function oauthRedirectUri(provider) {
+    return `${API_URL}/auth/${provider.key}/callback`;
+}
+
+// Swap the authorization code for the provider's view of the player
+async function fetchOAuthIdentity(provider, code) {
+    const tokenResponse = await fetch(provider.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: oauthRedirectUri(provider),
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret
+        })
+    });
+    if (!tokenResponse.ok) {
+        throw new Error(`${provider.name} token exchange failed with ${tokenResponse.status}`);
+    }
+    const { access_token: accessToken } = await tokenResponse.json();
+
+    const userResponse = await fetch(provider.userInfoUrl, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+    if (!userResponse.ok) {
+        throw new Error(`${provider.name} profile request failed with ${userResponse.status}`);
+    }
+    return provider.toIdentity(await userResponse.json());
+}
+
+// A free username close to the provider's display name
+function uniqueUsernameFrom(name) {
+    let base = String(name || '').replace(/[^A-Za-z0-9_]/g, '').slice(0, 16);
+    if (base.length < 3) base = `player${base}`;
+
+    let candidate = base;
+    while (store.users.findByUsername(candidate)) {
+        candidate = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+    }
+    return candidate;
+}
+
+function linkIdentity(user, provider, identity) {
+    if (!user.oauth) user.oauth = {};
+    user.oauth[provider.key] = {
+        id: identity.id,
+        email: identity.email,
+        username: identity.username,
+        linked_at: new Date().toISOString()
+    };
+}
+
+// The account to sign in for this identity: one it's already linked to, one
+// with the same email (linked on the way), or a brand new one. Both sides
+// have to have verified the email before it links anything, since anyone can
+// register with an address they don't own. Returns null when the email
+// belongs to an account that hasn't verified it; that player has to log in
+// with their password and link the provider from their profile instead.
+function findOrCreateOAuthUser(provider, identity) {
+    const linked = store.users.findByOAuth(provider.key, identity.id);
+    if (linked) return linked;
+
+    const existing = identity.email ? store.users.findByEmail(identity.email) : null;
+    if (existing) {
+        if (!identity.emailVerified || !existing.email_verified_at) return null;
+        linkIdentity(existing, provider, identity);
+        store.users.save(existing);
+        return existing;
+    }
+
+    // Only take the email if the provider vouches for it
+    const email = identity.email && identity.emailVerified ? identity.email : null;
+    const user = buildNewUser({ email, username: uniqueUsernameFrom(identity.username), password: null });
+    if (email) user.email_verified_at = new Date().toISOString();
+    linkIdentity(user, provider, identity);
+    store.users.create(user);
+    evaluateAchievements(user);
+    store.users.save(user);
+    return user;
+}
+
+// Sign-in methods left on an account, so the last one can't be removed
+function loginMethodCount(user) {
+    return (user.password ? 1 : 0) + Object.keys(user.oauth || {}).length;
+}
+
+function redirectToSite(res, page, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    res.redirect(`${SITE_URL}/${page}${query ? `?${query}` : ''}`);
+}
+
+// Which buttons the login page should show
+app.get('/api/auth/providers', (req, res) => {
+    res.json(Object.values(OAUTH_PROVIDERS)
+        .filter(isProviderConfigured)
+        .map(provider => ({ id: provider.key, name: provider.name })));
+});
+
+// Start a login, or with ?mode=link attach the provider to the signed-in account
+app.get('/auth/:provider', (req, res) => {
+    const provider = OAUTH_PROVIDERS[req.params.provider];
+
+    if (!isProviderConfigured(provider)) {
+        return redirectToSite(res, 'login.html', { oauth_error: `${req.params.provider} login is not available` });
+    }
+
+    const mode = req.query.mode === 'link' ? 'link' : 'login';
+    if (mode === 'link' && !req.session.userId) {
+        return redirectToSite(res, 'login.html', { oauth_error: 'Log in before linking an account' });
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.oauth = { provider: provider.key, state, mode };
+
+    const params = new URLSearchParams({
+        client_id: provider.clientId,
+        redirect_uri: oauthRedirectUri(provider),
+        response_type: 'code',
+        scope: provider.scope,
+        state
+    });
+    res.redirect(`${provider.authorizeUrl}?${params}`);
+});
+
+app.get('/auth/:provider/callback', async (req, res) => {
+    const provider = OAUTH_PROVIDERS[req.params.provider];
+    const pending = req.session.oauth;
+    delete req.session.oauth;
+
+    const failPage = pending && pending.mode === 'link' ? 'profile.html' : 'login.html';
+    const fail = message => redirectToSite(res, failPage, { oauth_error: message });
+
+    try {
+        if (!isProviderConfigured(provider) || !pending || pending.provider !== provider.key || pending.state !== req.query.state) {
+            return fail('Login expired, please try again');
+        }
+        if (req.query.error || !req.query.code) {
+            return fail(`${provider.name} login was cancelled`);
+        }
+
+        const identity = await fetchOAuthIdentity(provider, String(req.query.code));
+
+        if (pending.mode === 'link') {
+            const user = req.session.userId ? store.users.get(req.session.userId) : null;
+            if (!user) {
+                return fail('Log in before linking an account');
+            }
+
+            const owner = store.users.findByOAuth(provider.key, identity.id);
+            if (owner && owner.id !== user.id) {
+                return fail(`That ${provider.name} account is linked to another player`);
+            }
+
+            linkIdentity(user, provider, identity);
+            // Signed in and the provider vouches for the same address
+            if (identity.emailVerified && identity.email && user.email
+                && identity.email.toLowerCase() === user.email.toLowerCase()) {
+                user.email_verified_at = user.email_verified_at || new Date().toISOString();
+            }
+            store.users.save(user);
+            return redirectToSite(res, 'profile.html', { linked: provider.key });
+        }
+
+        const user = findOrCreateOAuthUser(provider, identity);
+        if (!user) {
+            return fail(`An account already uses this email. Log in with your password, then link ${provider.name} from your profile.`);
+        }
+        const ban = activeBan(user);
+        if (ban) {
+            return fail(banError(ban).error);
+        }
+        await startUserSession(req, user);
+        redirectToSite(res, 'profile.html');
+    } catch (error) {
+        console.error(`OAuth ${req.params.provider} error:`, error);
+        fail(`${provider ? provider.name : 'OAuth'} login failed, please try again`);
+    }
+});
+
+// Linked providers for the account settings panel
+app.get('/api/user/oauth', (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = store.users.get(req.session.userId);
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+        has_password: Boolean(user.password),
+        providers: Object.values(OAUTH_PROVIDERS).map(provider => {
+            const link = (user.oauth || {})[provider.key];
+            return {
+                id: provider.key,
+                name: provider.name,
+                configured: isProviderConfigured(provider),
+                linked: Boolean(link),
+                username: link ? link.username : null,
+                linked_at: link ? link.linked_at : null
+            };
+        })
+    });
+});
+
+app.delete('/api/user/oauth/:provider', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const user = store.users.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.oauth || !user.oauth[req.params.provider]) {
+            return res.status(404).json({ error: 'That provider is not linked' });
+        }
+
+        if (loginMethodCount(user) <= 1) {
+            return res.status(400).json({ error: 'Set a password or link another account before unlinking your only way to log in' });
+        }
+
+        delete user.oauth[req.params.provider];
+        store.users.save(user);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('OAuth unlink error:', error);
+        res.status(500).json({ error: 'Failed to unlink account' });
+    }
+});
+
+// ==========================================
+// PLAY SESSIONS & SCORE INTEGRITY
+// ==========================================
+
+// A score is only accepted against a play session the server issued when the
+// game was loaded. The token is the session id plus an HMAC, so it can't be
+// guessed or moved to another player or game.
+//
+// The same session measures playtime. game.html sends a heartbeat with the
+// seconds the player was actually active (tab visible, recent input) and the
+// local hour, and an end call when the page closes. A session that stops
+// checking in for PLAY_SESSION_TTL_MS expires. Playtime is credited per
+// player, not per session, so several tabs open at once can't add up to more
+// than the time that actually passed.
+const PLAY_SESSION_SECRET = process.env.PLAY_SESSION_SECRET || process.env.SESSION_SECRET || 'diane-arcade-play-sessions';
+const PLAY_SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+// Opening another session past this closes the player's least recent one
+const PLAY_SESSIONS_PER_USER = 3;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Allowance for network delay when capping claimed time against the clock
+const HEARTBEAT_SLACK_MS = 5 * 1000;
+const PLAYTIME_ACHIEVEMENT_CHECK_MS = 5 * 60 * 1000;
+
+const SCORE_RULE_DEFAULTS = {
+    max_score: 10000000,
+    min_play_seconds: 10
+};
+
+// Per-user submission budget
+const SCORE_RATE_LIMIT = { windowMs: 60 * 1000, max: 10 };
+
+const playSessions = new Map();
+// userId -> the time up to which the player has had playtime credited
+const playtimeCreditedUntil = new Map();
+
+function signPlaySession(session) {
+    return crypto
+        .createHmac('sha256', PLAY_SESSION_SECRET)
+        .update(`${session.id}:${session.userId}:${session.gameId}:${session.startedAt}`)
+        .digest('base64url');
+}
+
+function createPlaySession(userId, gameId) {
+    const now = Date.now();
+    playSessions.forEach(session => {
+        if (now - session.lastSeenAt > PLAY_SESSION_TTL_MS) closePlaySession(session, 'expired');
+    });
+
+    const open = [...playSessions.values()]
+        .filter(session => session.userId === userId)
+        .sort((a, b) => a.lastSeenAt - b.lastSeenAt);
+    open.slice(0, Math.max(0, open.length - PLAY_SESSIONS_PER_USER + 1))
+        .forEach(session => closePlaySession(session, 'replaced'));
+
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        userId,
+        gameId,
+        startedAt: now,
+        lastSeenAt: now,
+        lastSubmissionAt: null,
+        lastAchievementCheckAt: now,
+        activeSeconds: 0,
+        heartbeats: 0
+    };
+    playSessions.set(session.id, session);
+    return { session, token: `${session.id}.${signPlaySession(session)}` };
+}
+
+// Returns the session if the token is genuine, unexpired and belongs to this
+// user and game, otherwise null
+function verifyPlaySession(token, userId, gameId) {
+    if (typeof token !== 'string') return null;
+
+    const [id, signature] = token.split('.');
+    const session = playSessions.get(id);
+    if (!session || !signature) return null;
+
+    const expected = Buffer.from(signPlaySession(session));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    if (Date.now() - session.lastSeenAt > PLAY_SESSION_TTL_MS) {
+        closePlaySession(session, 'expired');
+        return null;
+    }
+    if (session.userId !== userId || session.gameId !== gameId) return null;
+
+    return session;
+}
+
+// Records the session's playtime and forgets it
+function closePlaySession(session, reason) {
+    playSessions.delete(session.id);
+    if (![...playSessions.values()].some(other => other.userId === session.userId)) {
+        playtimeCreditedUntil.delete(session.userId);
+    }
+    if (session.activeSeconds === 0) return;
+
+    store.playSessions.append({
+        id: session.id,
+        userId: session.userId,
+        game_id: session.gameId,
+        started_at: new Date(session.startedAt).toISOString(),
+        ended_at: new Date(session.lastSeenAt).toISOString(),
+        active_seconds: session.activeSeconds,
+        heartbeats: session.heartbeats,
+        ended_by: reason
+    });
+}
+
+function emptyPlaytime() {
+    return { total_seconds: 0, games: {}, hours: new Array(24).fill(0), longest_session_seconds: 0 };
+}
+
+// Credits active time to the user's totals, per game and per local hour of
+// the day. Claims are capped by the wall-clock time since the session's last
+// check-in, and never overlap time already credited to another of the
+// player's sessions. Returns the seconds actually credited.
+function creditPlaytime(user, session, activeSeconds, localHour) {
+    const now = Date.now();
+    const from = Math.max(session.lastSeenAt - HEARTBEAT_SLACK_MS, playtimeCreditedUntil.get(user.id) || 0);
+    const seconds = Math.floor(Math.max(0, Math.min(Number(activeSeconds) || 0, (now - from) / 1000)));
+
+    if (seconds > 0) playtimeCreditedUntil.set(user.id, from + seconds * 1000);
+    session.lastSeenAt = now;
+    session.heartbeats += 1;
+    if (seconds === 0) return 0;
+
+    const hour = Number.isInteger(localHour) && localHour >= 0 && localHour < 24
+        ? localHour
+        : new Date(now).getHours();
+    const playtime = user.playtime || (user.playtime = emptyPlaytime());
+
+    session.activeSeconds += seconds;
+    playtime.total_seconds += seconds;
+    playtime.games[session.gameId] = (playtime.games[session.gameId] || 0) + seconds;
+    playtime.hours[hour] += seconds;
+    playtime.longest_session_seconds = Math.max(playtime.longest_session_seconds, session.activeSeconds);
+    return seconds;
+}
+
+function scoreRulesFor(game) {
+    return {
+        max_score: game.max_score || SCORE_RULE_DEFAULTS.max_score,
+        min_play_seconds: game.min_play_seconds || SCORE_RULE_DEFAULTS.min_play_seconds
+    };
+}
+
+const scoreRateLimiter = createRateLimiter(SCORE_RATE_LIMIT);
+
+// Reasons a score looks implausible. Rounds are timed from the session start
+// or the previous submission, since one load can cover several games.
+function checkScorePlausibility(game, session, score) {
+    const rules = scoreRulesFor(game);
+    const playSeconds = (Date.now() - (session.lastSubmissionAt || session.startedAt)) / 1000;
+    const reasons = [];
+
+    if (score > rules.max_score) {
+        reasons.push(`score exceeds the maximum of ${rules.max_score}`);
+    }
+    if (playSeconds < rules.min_play_seconds) {
+        reasons.push(`round lasted ${Math.round(playSeconds)}s, minimum is ${rules.min_play_seconds}s`);
+    }
+    return { reasons, playSeconds };
+}
+
+// Shared by every route that accepts scores. Returns { status, body } for the
+// route to send.
+function submitScore(user, { gameId, score, sessionToken, source, autoTracked }) {
+    if (!scoreRateLimiter.hit(user.id)) {
+        return { status: 429, body: { error: 'Too many score submissions, slow down' } };
+    }
+
+    // Disabled games and ones whose file is missing can't be played
+    const game = findGame(gameId);
+    if (!game || !isGameAvailable(game)) {
+        return { status: 404, body: { error: 'Game not found' } };
+    }
+
+    if (!Number.isSafeInteger(score) || score < 0) {
+        return { status: 400, body: { error: 'Score must be a non-negative whole number' } };
+    }
+
+    const session = verifyPlaySession(sessionToken, user.id, game.id);
+    if (!session) {
+        return { status: 403, body: { error: 'Missing or invalid play session' } };
+    }
+
+    const { reasons, playSeconds } = checkScorePlausibility(game, session, score);
+    session.lastSubmissionAt = Date.now();
+
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        userId: user.id,
+        username: user.username,
+        game_name: game.id,
+        score,
+        source,
+        autoTracked,
+        session_id: session.id,
+        play_seconds: Math.round(playSeconds),
+        timestamp: new Date().toISOString()
+    };
+
+    if (reasons.length > 0) {
+        // Shares the score's id, which it keeps if a moderator approves it
+        store.flaggedScores.append({ ...record, reasons, status: 'pending' });
+        console.warn(`Flagged score from ${user.username} on ${game.id}: ${reasons.join('; ')}`);
+        return {
+            status: 202,
+            body: { success: false, flagged: true, message: 'Score held for review', reasons }
+        };
+    }
+
+    const previousLevel = user.level || 1;
+    const { xpGain, isHighScore } = applyScoreToUser(user, game.id, score);
+    store.scores.append(record);
+    const dailyChallenge = recordDailyProgress(user, game.id, score);
+    publishTournamentStandings(user, game.id);
+
+    const newAchievements = evaluateAchievements(user);
+    store.users.save(user);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: 'Score saved',
+            xp_gained: xpGain,
+            high_score: isHighScore,
+            level: user.level,
+            xp: user.xp,
+            progress: toPublicProgress(user),
+            level_ups: levelUpsSince(user, previousLevel),
+            coins: user.coins || 0,
+            daily_challenge: dailyChallenge,
+            new_achievements: newAchievements
+        }
+    };
+}
+
+// Start a play session when a game loads
+app.post('/api/game/session', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const game = findGame(req.body.gameId);
+        if (!game || !isGameAvailable(game)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const { session, token } = createPlaySession(req.session.userId, game.id);
+        res.json({
+            success: true,
+            session_token: token,
+            game_id: game.id,
+            started_at: new Date(session.startedAt).toISOString(),
+            heartbeat_seconds: HEARTBEAT_INTERVAL_MS / 1000,
+            rules: scoreRulesFor(game)
+        });
+    } catch (error) {
+        console.error('Play session error:', error);
+        res.status(500).json({ error: 'Failed to start play session' });
+    }
+});
+
+// The user and live play session named in a heartbeat or end call, or null
+// once an error has been sent
+function playSessionFromRequest(req, res) {
+    const user = requireSessionUser(req, res);
+    if (!user) return null;
+
+    const game = findGame(req.body.gameId);
+    if (!game) {
+        res.status(404).json({ error: 'Game not found' });
+        return null;
+    }
+
+    const session = verifyPlaySession(req.body.session_token, user.id, game.id);
+    if (!session) {
+        res.status(403).json({ error: 'Missing or invalid play session' });
+        return null;
+    }
+
+    return { user, session };
+}
+
+app.post('/api/game/session/heartbeat', (req, res) => {
+    try {
+        const found = playSessionFromRequest(req, res);
+        if (!found) return;
+        const { user, session } = found;
+
+        const credited = creditPlaytime(user, session, req.body.active_seconds, req.body.local_hour);
+
+        // Playtime achievements don't need checking on every beat
+        let newAchievements = [];
+        if (credited > 0 && Date.now() - session.lastAchievementCheckAt >= PLAYTIME_ACHIEVEMENT_CHECK_MS) {
+            session.lastAchievementCheckAt = Date.now();
+            newAchievements = evaluateAchievements(user);
+        }
+        store.users.save(user);
+
+        res.json({
+            success: true,
+            credited_seconds: credited,
+            session_seconds: session.activeSeconds,
+            total_seconds: (user.playtime || emptyPlaytime()).total_seconds,
+            new_achievements: newAchievements
+        });
+    } catch (error) {
+        console.error('Heartbeat error:', error);
+        res.status(500).json({ error: 'Failed to record heartbeat' });
+    }
+});
+
+app.post('/api/game/session/end', (req, res) => {
+    try {
+        const found = playSessionFromRequest(req, res);
+        if (!found) return;
+        const { user, session } = found;
+
+        creditPlaytime(user, session, req.body.active_seconds, req.body.local_hour);
+        closePlaySession(session, 'player');
+        const newAchievements = evaluateAchievements(user);
+        store.users.save(user);
+
+        res.json({
+            success: true,
+            session_seconds: session.activeSeconds,
+            total_seconds: (user.playtime || emptyPlaytime()).total_seconds,
+            new_achievements: newAchievements
+        });
+    } catch (error) {
+        console.error('End session error:', error);
+        res.status(500).json({ error: 'Failed to end play session' });
+    }
+});
+
+// ==========================================
+// GAME ROUTES
+// ==========================================
+
+// Apply a score to the user's stats. Shared by every route that accepts scores.
+function applyScoreToUser(user, gameId, score) {
+    user.total_score = (user.total_score || 0) + score;
+    user.total_games_played = (user.total_games_played || 0) + 1;
+    user.highest_score = Math.max(user.highest_score || 0, score);
+
+    // Personal best per game
+    if (!user.high_scores) user.high_scores = {};
+    const previousBest = user.high_scores[gameId];
+    const isHighScore = !previousBest || score > previousBest.score;
+    if (isHighScore) {
+        user.high_scores[gameId] = { score, date: new Date().toISOString() };
+        grantCoins(user, COIN_REWARDS.high_score, 'high_score', gameId);
+
+        const game = findGame(gameId);
+        publishEvent('high_score', {
+            user_id: user.id,
+            username: user.username,
+            game_id: gameId,
+            game_name: game ? game.name : gameId,
+            score,
+            previous_best: previousBest ? previousBest.score : null
+        }, gameId);
+    }
+
+    let xpGain = grantXp(user, 'score', scoreXp(score), gameId);
+    if (isHighScore) {
+        xpGain += grantXp(user, 'personal_best', XP_RULES.personal_best, gameId);
+    }
+
+    return { xpGain, isHighScore };
+}
+
+// Save game score
+app.post('/api/game/score', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const { game_name, score, session_token } = req.body;
+        const user = store.users.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { status, body } = submitScore(user, {
+            gameId: game_name,
+            score,
+            sessionToken: session_token,
+            source: 'website',
+            autoTracked: false
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Score save error:', error);
+        res.status(500).json({ error: 'Failed to save score' });
+    }
+});
+
+// Loads per player, or per IP address for anonymous visitors
+const playTrackLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 30 });
+
+// Track a game being loaded. Anonymous plays still count toward the game.
+// A signed-in player's load counts once per play session, so reloading the
+// tracking call alone can't farm play counts.
+app.post('/api/games/track', (req, res) => {
+    try {
+        const { gameId, source, session_token } = req.body;
+        const game = findGame(gameId);
+
+        if (!game || !isGameAvailable(game)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+
+        if (!playTrackLimiter.hit(user ? `user:${user.id}` : `ip:${req.ip}`)) {
+            return res.status(429).json({ error: 'Too many games loaded, slow down' });
+        }
+
+        let session = null;
+        if (user) {
+            session = verifyPlaySession(session_token, user.id, game.id);
+            if (!session) {
+                return res.status(403).json({ error: 'Missing or invalid play session' });
+            }
+            if (session.playTracked) {
+                return res.status(409).json({ error: 'This play session was already counted' });
+            }
+            session.playTracked = true;
+        }
+
+        const timestamp = new Date().toISOString();
+
+        store.plays.append({
+            userId: user ? user.id : null,
+            username: user ? user.username : null,
+            game_id: game.id,
+            source: source || 'website',
+            timestamp
+        });
+
+        let newAchievements = [];
+        let xpGained = 0;
+        let levelUps = [];
+        if (user) {
+            const previousLevel = user.level || 1;
+            if (!user.game_plays) user.game_plays = {};
+            if (!user.game_plays[game.id]) {
+                xpGained = grantXp(user, 'first_play', XP_RULES.first_play, game.id);
+            }
+            user.game_plays[game.id] = (user.game_plays[game.id] || 0) + 1;
+            user.total_plays = (user.total_plays || 0) + 1;
+            user.last_played = { game_id: game.id, at: timestamp };
+            grantPlayCoins(user, game.id);
+            newAchievements = evaluateAchievements(user);
+            levelUps = levelUpsSince(user, previousLevel);
+            store.users.save(user);
+        }
+
+        res.json({
+            success: true,
+            game_plays: store.plays.countForGame(game.id),
+            user_plays: user ? user.game_plays[game.id] : null,
+            xp_gained: xpGained,
+            level_ups: levelUps,
+            new_achievements: newAchievements
+        });
+    } catch (error) {
+        console.error('Play tracking error:', error);
+        res.status(500).json({ error: 'Failed to track play' });
+    }
+});
+
+// Scores captured automatically by the game page
+app.post('/api/scores/auto', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const { gameId, score, source, autoTracked, session_token } = req.body;
+        const user = store.users.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { status, body } = submitScore(user, {
+            gameId,
+            score,
+            sessionToken: session_token,
+            source: source || 'auto',
+            autoTracked: autoTracked === true
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Auto score error:', error);
+        res.status(500).json({ error: 'Failed to save score' });
+    }
+});
+
+// ==========================================
+// CLOUD SAVES
+// ==========================================
+
+// Ruffle keeps Flash SharedObjects in the browser's localStorage. game.html
+// uploads the entries a game wrote after play and puts them back before the
+// next load, so progress follows the account instead of the browser.
+//
+// Every upload names the version it was based on. If another device saved
+// since then the upload is refused with 409 and the player picks which copy
+// wins (resending with force). Replaced versions are kept for rollback.
+//
+// Each player has a storage quota covering every slot and kept version.
+// When a save would go over it, the oldest versions of that slot are dropped
+// first; only if the save still doesn't fit is it refused.
+const SAVE_SLOT_PATTERN = /^[a-z0-9_-]{1,20}$/;
+const DEFAULT_SAVE_SLOT = 'auto';
+const SAVE_SLOTS_PER_GAME = 3;
+const SAVE_MAX_BYTES = 512 * 1024;
+const SAVE_USER_MAX_BYTES = 4 * 1024 * 1024;
+const SAVE_HISTORY_LIMIT = 5;
+const SAVE_DEVICE_MAX_LENGTH = 60;
+
+// localStorage key -> value, both strings
+function isSaveData(data) {
+    return isPlainObject(data) && Object.values(data).every(value => typeof value === 'string');
+}
+
+function saveSize(data) {
+    return Buffer.byteLength(JSON.stringify(data));
+}
+
+// Current data plus every kept version
+function saveStoredSize(save) {
+    return saveSize(save.data) + save.history.reduce((sum, version) => sum + saveSize(version.data), 0);
+}
+
+function saveSummary(save) {
+    return {
+        game_id: save.gameId,
+        slot: save.slot,
+        version: save.version,
+        updated_at: save.updated_at,
+        device: save.device,
+        size: saveSize(save.data)
+    };
+}
+
+// Validated { game, slot } for a save route, or null once a 400/404 has been sent
+function saveTarget(req, res) {
+    const game = findGame(req.params.gameId);
+    if (!game) {
+        res.status(404).json({ error: 'Game not found' });
+        return null;
+    }
+
+    const slot = (req.method === 'GET' ? req.query.slot : req.body.slot) || DEFAULT_SAVE_SLOT;
+    if (typeof slot !== 'string' || !SAVE_SLOT_PATTERN.test(slot)) {
+        res.status(400).json({ error: 'Slot names are 1-20 lowercase letters, digits, - or _' });
+        return null;
+    }
+
+    return { game, slot };
+}
+
+// New current version; the one it replaces moves into history. Returns
+// null, writing nothing, if it won't fit in the player's quota.
+function writeSave(user, game, slot, existing, { data, device }) {
+    const history = existing
+        ? [{ version: existing.version, updated_at: existing.updated_at, device: existing.device, data: existing.data }, ...existing.history]
+        : [];
+
+    const save = {
+        userId: user.id,
+        gameId: game.id,
+        slot,
+        version: existing ? existing.version + 1 : 1,
+        updated_at: new Date().toISOString(),
+        device: typeof device === 'string' ? device.slice(0, SAVE_DEVICE_MAX_LENGTH) : null,
+        data,
+        history: history.slice(0, SAVE_HISTORY_LIMIT)
+    };
+
+    const othersSize = store.cloudSaves.forUser(user.id)
+        .filter(other => other.gameId !== game.id || other.slot !== slot)
+        .reduce((sum, other) => sum + saveStoredSize(other), 0);
+    while (othersSize + saveStoredSize(save) > SAVE_USER_MAX_BYTES && save.history.length > 0) {
+        save.history.pop();
+    }
+    if (othersSize + saveStoredSize(save) > SAVE_USER_MAX_BYTES) return null;
+
+    return store.cloudSaves.put(save);
+}
+
+function cloudStorageFull(res) {
+    return res.status(413).json({ error: `Cloud storage is full (${SAVE_USER_MAX_BYTES / 1024 / 1024} MB per player)` });
+}
+
+app.get('/api/saves', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        res.json(store.cloudSaves.forUser(user.id).map(saveSummary));
+    } catch (error) {
+        console.error('Cloud save list error:', error);
+        res.status(500).json({ error: 'Failed to load cloud saves' });
+    }
+});
+
+app.get('/api/saves/:gameId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+        const target = saveTarget(req, res);
+        if (!target) return;
+
+        const save = store.cloudSaves.get(user.id, target.game.id, target.slot);
+        if (!save) {
+            return res.status(404).json({ error: 'No cloud save yet' });
+        }
+
+        res.json({ ...saveSummary(save), data: save.data });
+    } catch (error) {
+        console.error('Cloud save load error:', error);
+        res.status(500).json({ error: 'Failed to load cloud save' });
+    }
+});
+
+// Upload. base_version is the version the device last downloaded or saved
+// (null for a first upload); force overwrites whatever is there.
+app.put('/api/saves/:gameId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+        const target = saveTarget(req, res);
+        if (!target) return;
+
+        const { data, base_version: baseVersion, device, force } = req.body;
+        if (!isSaveData(data)) {
+            return res.status(400).json({ error: 'Save data must be an object of strings' });
+        }
+        if (saveSize(data) > SAVE_MAX_BYTES) {
+            return res.status(413).json({ error: `Saves are limited to ${SAVE_MAX_BYTES / 1024} KB` });
+        }
+
+        const existing = store.cloudSaves.get(user.id, target.game.id, target.slot);
+
+        if (!existing) {
+            const slots = store.cloudSaves.forUser(user.id).filter(save => save.gameId === target.game.id).length;
+            if (slots >= SAVE_SLOTS_PER_GAME) {
+                return res.status(400).json({ error: `Each game has room for ${SAVE_SLOTS_PER_GAME} save slots` });
+            }
+        }
+
+        if (existing && force !== true && baseVersion !== existing.version) {
+            return res.status(409).json({
+                error: 'This save was changed on another device',
+                current: { ...saveSummary(existing), data: existing.data }
+            });
+        }
+
+        // Nothing new to keep
+        if (existing && JSON.stringify(existing.data) === JSON.stringify(data)) {
+            return res.json({ success: true, unchanged: true, ...saveSummary(existing) });
+        }
+
+        const save = writeSave(user, target.game, target.slot, existing, { data, device });
+        if (!save) return cloudStorageFull(res);
+
+        // A save from another device can unlock Town & Country
+        let newAchievements = [];
+        if (!existing || existing.device !== save.device) {
+            newAchievements = evaluateAchievements(user);
+            store.users.save(user);
+        }
+        res.json({ success: true, ...saveSummary(save), new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Cloud save upload error:', error);
+        res.status(500).json({ error: 'Failed to save to the cloud' });
+    }
+});
+
+app.get('/api/saves/:gameId/versions', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+        const target = saveTarget(req, res);
+        if (!target) return;
+
+        const save = store.cloudSaves.get(user.id, target.game.id, target.slot);
+        if (!save) {
+            return res.status(404).json({ error: 'No cloud save yet' });
+        }
+
+        res.json({
+            current: saveSummary(save),
+            versions: save.history.map(({ data, ...version }) => ({ ...version, size: saveSize(data) }))
+        });
+    } catch (error) {
+        console.error('Cloud save versions error:', error);
+        res.status(500).json({ error: 'Failed to load save versions' });
+    }
+});
+
+// Roll back by making an older version current again
+app.post('/api/saves/:gameId/restore', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+        const target = saveTarget(req, res);
+        if (!target) return;
+
+        const existing = store.cloudSaves.get(user.id, target.game.id, target.slot);
+        const version = existing && existing.history.find(v => v.version === req.body.version);
+        if (!version) {
+            return res.status(404).json({ error: 'Save version not found' });
+        }
+
+        const save = writeSave(user, target.game, target.slot, existing, {
+            data: version.data,
+            device: req.body.device
+        });
+        if (!save) return cloudStorageFull(res);
+        res.json({ success: true, restored_from: version.version, ...saveSummary(save), data: save.data });
+    } catch (error) {
+        console.error('Cloud save restore error:', error);
+        res.status(500).json({ error: 'Failed to restore save' });
+    }
+});
+
+// ==========================================
+// CATALOG ROUTES
+// ==========================================
+
+// Players rate games they've played from 1 to 5 stars and keep a list of
+// favorites on their account (user.favorites). Catalog entries carry the
+// average rating and play count, plus the signed-in player's own rating and
+// favorite flag, so pages can build rows and sort without more requests.
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+const RECENTLY_PLAYED_LIMIT = 12;
+
+function isFavorite(user, gameId) {
+    return (user.favorites || []).some(f => f.game_id === gameId);
+}
+
+// toPublicGame() plus ratings, plays and what `user` (may be null) thinks of it
+function toCatalogEntry(game, playCounts, user) {
+    const { average, count } = store.ratings.summary(game.id);
+    const entry = {
+        ...toPublicGame(game),
+        avg_rating: average === null ? null : Math.round(average * 10) / 10,
+        rating_count: count,
+        play_count: playCounts[game.id] || 0
+    };
+    if (user) {
+        const rating = store.ratings.get(game.id, user.id);
+        entry.your_rating = rating ? rating.stars : null;
+        entry.favorite = isFavorite(user, game.id);
+    }
+    return entry;
+}
+
+function toRatingSummary(game, user) {
+    const { average, count } = store.ratings.summary(game.id);
+    const rating = store.ratings.get(game.id, user.id);
+    return {
+        game_id: game.id,
+        your_rating: rating ? rating.stars : null,
+        avg_rating: average === null ? null : Math.round(average * 10) / 10,
+        rating_count: count
+    };
+}
+
+app.get('/api/games', (req, res) => {
+    try {
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        const playCounts = store.plays.countsByGame();
+        res.json(GAME_CATALOG.map(game => toCatalogEntry(game, playCounts, user)));
+    } catch (error) {
+        console.error('Catalog error:', error);
+        res.status(500).json({ error: 'Failed to load games' });
+    }
+});
+
+app.get('/api/games/:id', (req, res) => {
+    try {
+        const game = findGame(req.params.id);
+
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        const publicGame = toCatalogEntry(game, { [game.id]: store.plays.countForGame(game.id) }, user);
+        publicGame.related_games = game.related
+            .map(findGame)
+            .filter(related => related && isGameAvailable(related))
+            .map(({ id, name, image, tagline }) => ({ id, name, image, tagline }));
+
+        res.json(publicGame);
+    } catch (error) {
+        console.error('Catalog error:', error);
+        res.status(500).json({ error: 'Failed to load game' });
+    }
+});
+
+// One rating per player per game; sending another replaces it
+app.put('/api/games/:id/rating', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const game = findGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const { stars } = req.body;
+        if (!Number.isInteger(stars) || stars < RATING_MIN || stars > RATING_MAX) {
+            return res.status(400).json({ error: `stars must be a whole number from ${RATING_MIN} to ${RATING_MAX}` });
+        }
+        // Keeps ratings to people who've actually loaded the game here.
+        // user.game_plays can include counts imported from a local profile.
+        if (!store.plays.forUser(user.id).some(play => play.game_id === game.id)) {
+            return res.status(403).json({ error: `Play ${game.name} before rating it` });
+        }
+
+        store.ratings.put(game.id, user.id, stars);
+        const newAchievements = evaluateAchievements(user);
+        store.users.save(user);
+        res.json({ success: true, ...toRatingSummary(game, user), new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Rating error:', error);
+        res.status(500).json({ error: 'Failed to save rating' });
+    }
+});
+
+app.delete('/api/games/:id/rating', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const game = findGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (!store.ratings.remove(game.id, user.id)) {
+            return res.status(404).json({ error: 'You have not rated this game' });
+        }
+        res.json({ success: true, ...toRatingSummary(game, user) });
+    } catch (error) {
+        console.error('Rating removal error:', error);
+        res.status(500).json({ error: 'Failed to remove rating' });
+    }
+});
+
+// Newest favorite first
+app.get('/api/user/favorites', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const playCounts = store.plays.countsByGame();
+        const favorites = (user.favorites || [])
+            .slice()
+            .reverse()
+            .map(favorite => {
+                const game = findGame(favorite.game_id);
+                return game ? { ...toCatalogEntry(game, playCounts, user), favorited_at: favorite.added_at } : null;
+            })
+            .filter(Boolean);
+
+        res.json(favorites);
+    } catch (error) {
+        console.error('Favorites error:', error);
+        res.status(500).json({ error: 'Failed to load favorites' });
+    }
+});
+
+// Adding a game that's already a favorite is fine and changes nothing
+app.put('/api/user/favorites/:gameId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const game = findGame(req.params.gameId);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        let newAchievements = [];
+        if (!isFavorite(user, game.id)) {
+            if (!user.favorites) user.favorites = [];
+            user.favorites.push({ game_id: game.id, added_at: new Date().toISOString() });
+            newAchievements = evaluateAchievements(user);
+            store.users.save(user);
+        }
+        res.json({ success: true, game_id: game.id, favorite: true, new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Favorite error:', error);
+        res.status(500).json({ error: 'Failed to add favorite' });
+    }
+});
+
+app.delete('/api/user/favorites/:gameId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const game = findGame(req.params.gameId);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        user.favorites = (user.favorites || []).filter(f => f.game_id !== game.id);
+        store.users.save(user);
+        res.json({ success: true, game_id: game.id, favorite: false });
+    } catch (error) {
+        console.error('Unfavorite error:', error);
+        res.status(500).json({ error: 'Failed to remove favorite' });
+    }
+});
+
+// Distinct games from the player's play history, most recent first
+app.get('/api/user/recent', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || RECENTLY_PLAYED_LIMIT, 1), RECENTLY_PLAYED_LIMIT * 4);
+        const playCounts = store.plays.countsByGame();
+        const seen = new Set();
+        const recent = [];
+
+        const plays = store.plays.forUser(user.id);
+        for (let i = plays.length - 1; i >= 0 && recent.length < limit; i -= 1) {
+            const game = findGame(plays[i].game_id);
+            if (!game || seen.has(game.id)) continue;
+            seen.add(game.id);
+            recent.push({
+                ...toCatalogEntry(game, playCounts, user),
+                last_played_at: plays[i].timestamp,
+                your_plays: (user.game_plays || {})[game.id] || 0
+            });
+        }
+
+        res.json(recent);
+    } catch (error) {
+        console.error('Recently played error:', error);
+        res.status(500).json({ error: 'Failed to load recently played games' });
+    }
+});
+
+// ==========================================
+// MOVIE ROUTES
+// ==========================================
+
+function filmographyProgress(user) {
+    return { watched: watchedMovieIds(user).filter(findMovie).length, total: MOVIE_CATALOG.length };
+}
+
+// The catalog, with `watched` filled in for signed-in players
+app.get('/api/movies', (req, res) => {
+    try {
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        const watched = new Set(user ? watchedMovieIds(user) : []);
+
+        res.json(MOVIE_CATALOG.map(movie => ({ ...movie, watched: user ? watched.has(movie.id) : null })));
+    } catch (error) {
+        console.error('Movies error:', error);
+        res.status(500).json({ error: 'Failed to load movies' });
+    }
+});
+
+// Watch history, newest first, plus filmography progress
+app.get('/api/user/movies', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const history = (user.movie_history || [])
+            .map(entry => {
+                const movie = findMovie(entry.movie_id);
+                return movie ? { ...entry, title: movie.title, year: movie.year } : null;
+            })
+            .filter(Boolean)
+            .reverse();
+
+        res.json({ ...filmographyProgress(user), history });
+    } catch (error) {
+        console.error('Watch history error:', error);
+        res.status(500).json({ error: 'Failed to load watch history' });
+    }
+});
+
+// Record opening a movie. Each title goes into the history once and only the
+// first view pays XP and coins.
+app.post('/api/movies/:id/watch', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const movie = findMovie(req.params.id);
+        if (!movie) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const { provider } = req.body;
+        if (provider !== undefined && !movie.providers.some(p => p.id === provider)) {
+            return res.status(400).json({ error: `${movie.title} isn't on ${provider}` });
+        }
+
+        const firstView = !watchedMovieIds(user).includes(movie.id);
+        const previousLevel = user.level || 1;
+        let xpGained = 0;
+        let coinsGained = 0;
+        let newAchievements = [];
+
+        if (firstView) {
+            if (!user.movie_history) user.movie_history = [];
+            user.movie_history.push({ movie_id: movie.id, provider: provider || null, watched_at: new Date().toISOString() });
+            xpGained = grantXp(user, 'movie', XP_RULES.movie, movie.id);
+            coinsGained = grantCoins(user, COIN_REWARDS.movie, 'movie', movie.id) ? COIN_REWARDS.movie : 0;
+            newAchievements = evaluateAchievements(user);
+            store.users.save(user);
+        }
+
+        res.json({
+            success: true,
+            first_view: firstView,
+            xp_gained: xpGained,
+            coins_gained: coinsGained,
+            level: user.level,
+            xp: user.xp,
+            progress: toPublicProgress(user),
+            level_ups: levelUpsSince(user, previousLevel),
+            coins: user.coins || 0,
+            filmography: filmographyProgress(user),
+            new_achievements: newAchievements
+        });
+    } catch (error) {
+        console.error('Movie view error:', error);
+        res.status(500).json({ error: 'Failed to record movie' });
+    }
+});
+
+// ==========================================
+// LEADERBOARD ROUTES
+// ==========================================
+
+// ?scope=friends limits a board to the signed-in player and their friends.
+// Returns the set of user ids to keep, null for everyone, or an error reply.
+function leaderboardScope(req) {
+    const scope = req.query.scope || 'global';
+    if (scope === 'global') return { userIds: null };
+    if (scope !== 'friends') {
+        return { status: 400, error: 'scope must be one of global, friends' };
+    }
+    if (!req.session.userId) {
+        return { status: 401, error: 'Not authenticated' };
+    }
+    return { userIds: new Set([req.session.userId, ...store.friends.friendIdsOf(req.session.userId)]) };
+}
+
+app.get('/api/leaderboard', (req, res) => {
+    try {
+        const scope = leaderboardScope(req);
+        if (scope.error) {
+            return res.status(scope.status).json({ error: scope.error });
+        }
+
+        const leaderboard = store.users.all()
+            .filter(user => !scope.userIds || scope.userIds.has(user.id))
+            .filter(user => !activeBan(user))
+            .sort((a, b) => (b.total_score || 0) - (a.total_score || 0))
+            .slice(0, 50)
+            .map(user => ({
+                id: user.id,
+                username: user.username,
+                level: user.level,
+                prestige: user.prestige || 0,
+                badge: publicBadge(user),
+                xp: user.xp || 0,
+                total_score: user.total_score || 0,
+                total_games_played: user.total_games_played,
+                achievements_unlocked: store.achievements.forUser(user.id).length,
+                avatar_url: user.avatar_url
+            }));
+
+        res.json(leaderboard);
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'all'];
+const LEADERBOARD_PAGE_SIZE = 50;
+
+// Start of the current window in UTC. Weeks start on Monday.
+function leaderboardWindowStart(window, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (window === 'daily') return start;
+    if (window === 'weekly') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        return start;
+    }
+    if (window === 'monthly') {
+        start.setUTCDate(1);
+        return start;
+    }
+    return null;
+}
+
+// One row per player holding their best score in the window, best first.
+// Ties go to whoever got there first.
+function rankGameScores(scores, gameId, window) {
+    const since = leaderboardWindowStart(window);
+    const best = {};
+
+    scores.forEach(record => {
+        if (record.game_name !== gameId) return;
+        if (since && new Date(record.timestamp) < since) return;
+
+        const current = best[record.userId];
+        if (!current || record.score > current.score) {
+            best[record.userId] = record;
+        }
+    });
+
+    return Object.values(best)
+        .sort((a, b) => b.score - a.score || new Date(a.timestamp) - new Date(b.timestamp))
+        .map((record, index) => ({
+            rank: index + 1,
+            userId: record.userId,
+            username: record.username,
+            score: record.score,
+            achieved_at: record.timestamp
+        }));
+}
+
+app.get('/api/leaderboard/:gameId', (req, res) => {
+    try {
+        const game = findGame(req.params.gameId);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const scope = leaderboardScope(req);
+        if (scope.error) {
+            return res.status(scope.status).json({ error: scope.error });
+        }
+
+        const window = req.query.window || 'all';
+        if (!LEADERBOARD_WINDOWS.includes(window)) {
+            return res.status(400).json({ error: `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LEADERBOARD_PAGE_SIZE, 1), 100);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const scores = store.scores.forGame(game.id)
+            .filter(record => !scope.userIds || scope.userIds.has(record.userId))
+            .filter(record => {
+                const owner = store.users.get(record.userId);
+                return !owner || !activeBan(owner);
+            });
+        const ranked = rankGameScores(scores, game.id, window);
+
+        const entries = ranked.slice((page - 1) * limit, page * limit).map(entry => {
+            const user = store.users.get(entry.userId) || {};
+            return {
+                ...entry,
+                username: user.username || entry.username,
+                level: user.level || 1,
+                prestige: user.prestige || 0,
+                avatar_url: user.avatar_url
+            };
+        });
+
+        // The requesting player's own standing, even when it isn't on this page
+        const me = req.session.userId
+            ? ranked.find(entry => entry.userId === req.session.userId) || null
+            : null;
+
+        res.json({
+            game: { id: game.id, name: game.name, icon: game.icon },
+            scope: scope.userIds ? 'friends' : 'global',
+            window,
+            page,
+            limit,
+            total: ranked.length,
+            total_pages: Math.ceil(ranked.length / limit),
+            entries,
+            me
+        });
+    } catch (error) {
+        console.error('Game leaderboard error:', error);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+// ==========================================
+// USER PROFILE ROUTES
+// ==========================================
+
+// The choices profile.html offers. Anything else is refused.
+const AVATAR_OPTIONS = [
+    'https://api.dicebear.com/7.x/avataaars/svg?seed=felix',
+    'https://api.dicebear.com/7.x/avataaars/svg?seed=aneka',
+    'https://api.dicebear.com/7.x/avataaars/svg?seed=luna',
+    'https://api.dicebear.com/7.x/avataaars/svg?seed=max',
+    'https://api.dicebear.com/7.x/avataaars/svg?seed=charlie',
+    'https://api.dicebear.com/7.x/bottts/svg?seed=robot1',
+    'https://api.dicebear.com/7.x/bottts/svg?seed=robot2',
+    'https://api.dicebear.com/7.x/personas/svg?seed=person1'
+];
+
+const BANNER_OPTIONS = [
+    'https://images.unsplash.com/photo-1550745165-9bc0b252726f?w=1200&h=400&fit=crop',
+    'https://images.unsplash.com/photo-1511512578047-dfb367046420?w=1200&h=400&fit=crop',
+    'https://images.unsplash.com/photo-1538481199705-c710c4e965fc?w=1200&h=400&fit=crop',
+    'https://images.unsplash.com/photo-1542751371-adc38448a05e?w=1200&h=400&fit=crop'
+];
+
+const BIO_MAX_LENGTH = 200;
+const DEFAULT_BIO = 'No bio yet!';
+const PROFILE_RECENT_SCORES = 10;
+const PROFILE_FAVORITE_GAMES = 3;
+
+// What anyone may see about a player. No email, no linked accounts, no
+// account state.
+function toPublicProfile(user) {
+    const recentScores = store.scores.forUser(user.id)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, PROFILE_RECENT_SCORES)
+        .map(record => {
+            const game = findGame(record.game_name);
+            return {
+                game_id: record.game_name,
+                game_name: game ? game.name : record.game_name,
+                score: record.score,
+                achieved_at: record.timestamp
+            };
+        });
+
+    const favoriteGames = Object.entries(user.game_plays || {})
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, PROFILE_FAVORITE_GAMES)
+        .map(([gameId, plays]) => {
+            const game = findGame(gameId);
+            return game ? { id: game.id, name: game.name, icon: game.icon, image: game.image, plays } : null;
+        })
+        .filter(Boolean);
+
+    const achievements = store.achievements.forUser(user.id)
+        .map(unlock => {
+            const achievement = ACHIEVEMENTS.find(a => a.id === unlock.achievementId);
+            return achievement
+                ? { id: achievement.id, name: achievement.name, icon: achievement.icon, description: achievement.description, unlocked_at: unlock.unlockedAt }
+                : null;
+        })
+        .filter(Boolean);
+
+    return {
+        id: user.id,
+        username: user.username,
+        level: user.level || 1,
+        xp: user.xp || 0,
+        progress: toPublicProgress(user),
+        prestige: user.prestige || 0,
+        prestige_history: user.prestige_history || [],
+        xp_multiplier: prestigeMultiplier(user),
+        avatar_url: user.avatar_url,
+        avatar: user.avatar || null,
+        banner: user.banner || null,
+        badge: publicBadge(user),
+        bio: user.bio || DEFAULT_BIO,
+        created_at: user.created_at,
+        total_score: user.total_score || 0,
+        total_plays: user.total_plays || 0,
+        high_scores: user.high_scores || {},
+        friends_count: store.friends.friendIdsOf(user.id).length,
+        filmography: filmographyProgress(user),
+        achievements_unlocked: achievements.length,
+        achievements,
+        recent_scores: recentScores,
+        favorite_games: favoriteGames,
+        playtime: toPublicPlaytime(user)
+    };
+}
+
+// Active playtime from heartbeats: totals, the most played games and seconds
+// played in each local hour of the day
+function toPublicPlaytime(user) {
+    const playtime = user.playtime || emptyPlaytime();
+    const mostPlayed = Object.entries(playtime.games)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, PROFILE_FAVORITE_GAMES)
+        .map(([gameId, seconds]) => {
+            const game = findGame(gameId);
+            return game ? { id: game.id, name: game.name, icon: game.icon, seconds } : null;
+        })
+        .filter(Boolean);
+
+    return {
+        total_seconds: playtime.total_seconds,
+        longest_session_seconds: playtime.longest_session_seconds,
+        most_played: mostPlayed,
+        hours: playtime.hours
+    };
+}
+
+// Field name -> message for anything in a profile update that isn't allowed.
+// Avatars, banners and badges also have to be owned (see COINS & SHOP).
+function validateProfileUpdate(user, { avatar, banner, bio, badge }) {
+    const errors = {};
+    if (avatar !== undefined) {
+        const item = findShopItemByValue('avatar', avatar);
+        if (!item) errors.avatar = 'Pick one of the available avatars';
+        else if (!ownsShopItem(user, item)) errors.avatar = 'Buy this avatar in the shop first';
+    }
+    if (banner !== undefined) {
+        const item = findShopItemByValue('banner', banner);
+        if (!item) errors.banner = 'Pick one of the available banners';
+        else if (!ownsShopItem(user, item)) errors.banner = 'Buy this banner in the shop first';
+    }
+    if (badge !== undefined && badge !== null) {
+        const item = findShopItem(badge);
+        if (!item || item.type !== 'badge') errors.badge = 'Pick one of the available badges';
+        else if (!ownsShopItem(user, item)) errors.badge = 'Buy this badge in the shop first';
+    }
+    if (bio !== undefined && (typeof bio !== 'string' || bio.trim().length > BIO_MAX_LENGTH)) {
+        errors.bio = `Bio must be at most ${BIO_MAX_LENGTH} characters`;
+    }
+    return errors;
+}
+
+// Anyone's profile by username
+app.get('/api/profiles/:username', (req, res) => {
+    try {
+        const user = store.users.findByUsername(req.params.username);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(toPublicProfile(user));
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to load profile' });
+    }
+});
+
+// Older lookup by id, kept for existing links. Same public fields.
+app.get('/api/user/profile/:userId', (req, res) => {
+    try {
+        const user = store.users.get(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(toPublicProfile(user));
+    } catch (error) {
         console.error('Profile error:', error);
         res.status(500).json({ error: 'Failed to load profile' });
     }
 });
 
+// Avatar, banner, badge and bio. Fields left out of the body are unchanged;
+// an empty bio goes back to the default and a null badge takes it off.
+app.put('/api/user/profile', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const { avatar, banner, bio, badge } = req.body;
+        const fields = validateProfileUpdate(user, { avatar, banner, bio, badge });
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Please fix the highlighted fields', fields });
+        }
+
+        if (avatar !== undefined) {
+            user.avatar = avatar;
+            user.avatar_url = avatar;
+        }
+        if (banner !== undefined) {
+            user.banner = banner;
+        }
+        if (badge !== undefined) {
+            user.badge = badge;
+        }
+        if (bio !== undefined) {
+            const trimmed = bio.trim();
+            if (trimmed && trimmed !== DEFAULT_BIO) {
+                user.bio = trimmed;
+            } else {
+                delete user.bio;
+            }
+        }
+
+        const newAchievements = evaluateAchievements(user);
+        store.users.save(user);
+
+        res.json({ success: true, profile: toPublicProfile(user), new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// ==========================================
+// FRIENDS ROUTES
+// ==========================================
+
+// What the friends list shows for another player
+function toFriendSummary(user) {
+    const lastGame = user.last_played ? findGame(user.last_played.game_id) : null;
+    return {
+        id: user.id,
+        username: user.username,
+        level: user.level || 1,
+        prestige: user.prestige || 0,
+        avatar_url: user.avatar_url,
+        last_played: user.last_played
+            ? { game_id: user.last_played.game_id, game_name: lastGame ? lastGame.name : null, at: user.last_played.at }
+            : null
+    };
+}
+
+// Friendships can unlock achievements for both sides
+function evaluateFriendAchievements(...users) {
+    users.forEach(user => {
+        if (evaluateAchievements(user).length > 0) {
+            store.users.save(user);
+        }
+    });
+}
+
+app.get('/api/friends', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const withUser = (userId, extra) => {
+            const other = store.users.get(userId);
+            return other ? { ...toFriendSummary(other), ...extra } : null;
+        };
+
+        const friends = store.friends.friendshipsOf(user.id)
+            .map(link => withUser(link.from === user.id ? link.to : link.from, { since: link.accepted_at }))
+            .filter(Boolean)
+            .sort((a, b) => a.username.localeCompare(b.username));
+
+        const incoming = store.friends.incoming(user.id)
+            .map(link => withUser(link.from, { requested_at: link.created_at }))
+            .filter(Boolean);
+
+        const outgoing = store.friends.outgoing(user.id)
+            .map(link => withUser(link.to, { requested_at: link.created_at }))
+            .filter(Boolean);
+
+        const blocked = store.friends.blockedBy(user.id)
+            .map(block => {
+                const other = store.users.get(block.blocked);
+                return other ? { id: other.id, username: other.username, blocked_at: block.created_at } : null;
+            })
+            .filter(Boolean);
+
+        res.json({ friends, incoming, outgoing, blocked });
+    } catch (error) {
+        console.error('Friends list error:', error);
+        res.status(500).json({ error: 'Failed to load friends' });
+    }
+});
+
+// Send a friend request by username. If they already asked us, this accepts it.
+app.post('/api/friends/requests', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const target = store.users.findByUsername(String(req.body.username || '').trim());
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (target.id === user.id) {
+            return res.status(400).json({ error: "You can't add yourself as a friend" });
+        }
+
+        const relationship = store.friends.relationship(user.id, target.id);
+        if (relationship === 'blocked' || relationship === 'blocked_by') {
+            return res.status(403).json({ error: "You can't send a friend request to this player" });
+        }
+        if (relationship === 'friends') {
+            return res.status(409).json({ error: 'Already friends' });
+        }
+        if (relationship === 'request_sent') {
+            return res.status(409).json({ error: 'Friend request already sent' });
+        }
+
+        if (relationship === 'request_received') {
+            store.friends.accept(target.id, user.id);
+            evaluateFriendAchievements(user, target);
+            return res.json({ success: true, relationship: 'friends', friend: toFriendSummary(target) });
+        }
+
+        store.friends.request(user.id, target.id);
+        evaluateFriendAchievements(user);
+        res.status(201).json({ success: true, relationship: 'request_sent', user: toFriendSummary(target) });
+    } catch (error) {
+        console.error('Friend request error:', error);
+        res.status(500).json({ error: 'Failed to send friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:userId/accept', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const requester = store.users.get(req.params.userId);
+        if (!requester || !store.friends.accept(requester.id, user.id)) {
+            return res.status(404).json({ error: 'Friend request not found' });
+        }
+
+        evaluateFriendAchievements(user, requester);
+        res.json({ success: true, relationship: 'friends', friend: toFriendSummary(requester) });
+    } catch (error) {
+        console.error('Friend accept error:', error);
+        res.status(500).json({ error: 'Failed to accept friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:userId/decline', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        if (store.friends.relationship(user.id, req.params.userId) !== 'request_received') {
+            return res.status(404).json({ error: 'Friend request not found' });
+        }
+
+        store.friends.remove(user.id, req.params.userId);
+        res.json({ success: true, relationship: 'none' });
+    } catch (error) {
+        console.error('Friend decline error:', error);
+        res.status(500).json({ error: 'Failed to decline friend request' });
+    }
+});
+
+// Unfriend, or withdraw a request we sent
+app.delete('/api/friends/:userId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const relationship = store.friends.relationship(user.id, req.params.userId);
+        if (relationship !== 'friends' && relationship !== 'request_sent') {
+            return res.status(404).json({ error: 'Not friends with this player' });
+        }
+
+        store.friends.remove(user.id, req.params.userId);
+        res.json({ success: true, relationship: 'none' });
+    } catch (error) {
+        console.error('Friend removal error:', error);
+        res.status(500).json({ error: 'Failed to remove friend' });
+    }
+});
+
+// How the signed-in player relates to someone, for the profile page
+app.get('/api/friends/relationship/:username', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const other = store.users.findByUsername(req.params.username);
+        if (!other) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            user_id: other.id,
+            username: other.username,
+            relationship: other.id === user.id ? 'self' : store.friends.relationship(user.id, other.id)
+        });
+    } catch (error) {
+        console.error('Relationship error:', error);
+        res.status(500).json({ error: 'Failed to load relationship' });
+    }
+});
+
+// Blocking drops any friendship or pending request and stops new ones both ways
+app.post('/api/blocks', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const target = req.body.user_id
+            ? store.users.get(req.body.user_id)
+            : store.users.findByUsername(String(req.body.username || '').trim());
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (target.id === user.id) {
+            return res.status(400).json({ error: "You can't block yourself" });
+        }
+
+        store.friends.block(user.id, target.id);
+        res.json({ success: true, relationship: 'blocked' });
+    } catch (error) {
+        console.error('Block error:', error);
+        res.status(500).json({ error: 'Failed to block player' });
+    }
+});
+
+app.delete('/api/blocks/:userId', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        if (!store.friends.unblock(user.id, req.params.userId)) {
+            return res.status(404).json({ error: 'Player is not blocked' });
+        }
+
+        res.json({ success: true, relationship: store.friends.relationship(user.id, req.params.userId) });
+    } catch (error) {
+        console.error('Unblock error:', error);
+        res.status(500).json({ error: 'Failed to unblock player' });
+    }
+});
+
+// ==========================================
+// COINS & SHOP
+// ==========================================
+
+// Coins only move through grantCoins() and spendCoins(), which write one
+// ledger entry per change, so a balance can always be traced back.
+// user.coins is a cached copy of the ledger total.
+const COIN_REWARDS = {
+    play: 1,
+    high_score: 5,
+    achievement: 10,
+    movie: 10
+};
+
+// Loading the same game over and over shouldn't print money
+const COIN_DAILY_PLAY_LIMIT = 20;
+const COIN_HISTORY_LIMIT = 50;
+
+const SHOP_PRICES = { avatar: 50, banner: 100 };
+
+const PROFILE_BADGES = [
+    { id: 'badge_star', name: 'Star', icon: '⭐', price: 100 },
+    { id: 'badge_glow', name: 'Glowing Star', icon: '🌟', price: 200 },
+    { id: 'badge_sparkles', name: 'Sparkles', icon: '✨', price: 300 },
+    { id: 'badge_comet', name: 'Comet', icon: '💫', price: 400 },
+    { id: 'badge_fire', name: 'On Fire', icon: '🔥', price: 500 },
+    { id: 'badge_bolt', name: 'Lightning', icon: '⚡', price: 750 },
+    { id: 'badge_diamond', name: 'Diamond', icon: '💎', price: 1000 },
+    { id: 'badge_crown', name: 'Crown', icon: '👑', price: 1500 }
+];
+
+// The first avatar and banner are free so every profile has something to pick
+const SHOP_ITEMS = [
+    ...AVATAR_OPTIONS.map((url, index) => ({
+        id: `avatar_${index + 1}`,
+        type: 'avatar',
+        name: new URL(url).searchParams.get('seed'),
+        value: url,
+        price: index === 0 ? 0 : SHOP_PRICES.avatar
+    })),
+    ...BANNER_OPTIONS.map((url, index) => ({
+        id: `banner_${index + 1}`,
+        type: 'banner',
+        name: `Banner ${index + 1}`,
+        value: url,
+        price: index === 0 ? 0 : SHOP_PRICES.banner
+    })),
+    ...PROFILE_BADGES.map(({ icon, ...badge }) => ({ ...badge, type: 'badge', value: icon }))
+];
+
+function findShopItem(itemId) {
+    return SHOP_ITEMS.find(item => item.id === itemId) || null;
+}
+
+function findShopItemByValue(type, value) {
+    return SHOP_ITEMS.find(item => item.type === type && item.value === value) || null;
+}
+
+function ownsShopItem(user, item) {
+    return item.price === 0 || (user.owned_items || []).includes(item.id);
+}
+
+function isShopItemEquipped(user, item) {
+    return item.type === 'badge' ? user.badge === item.id : user[item.type] === item.value;
+}
+
+// Whatever a profile had on before the shop opened becomes owned, once.
+// Accounts made since start out checked (see buildNewUser), so nothing
+// equipped later is ever carried over this way.
+function grantPreShopItems() {
+    store.users.all().forEach(user => {
+        if (user.shop_items_checked) return;
+
+        if (!user.owned_items) user.owned_items = [];
+        SHOP_ITEMS
+            .filter(item => item.price > 0 && isShopItemEquipped(user, item) && !ownsShopItem(user, item))
+            .forEach(item => user.owned_items.push(item.id));
+        user.shop_items_checked = true;
+        store.users.save(user);
+    });
+}
+
+function publicBadge(user) {
+    const item = user.badge ? findShopItem(user.badge) : null;
+    return item ? { id: item.id, name: item.name, icon: item.value } : null;
+}
+
+// Accounts from before the ledger kept a bare coins number. Their first
+// ledger entry carries that balance over.
+function openCoinAccount(user) {
+    if (!user.coins || store.coins.forUser(user.id).length > 0) return;
+    store.coins.append({
+        id: crypto.randomBytes(8).toString('hex'),
+        userId: user.id,
+        amount: user.coins,
+        reason: 'opening_balance',
+        ref: null,
+        balance: user.coins,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function recordCoins(user, amount, reason, ref) {
+    openCoinAccount(user);
+    user.coins = (user.coins || 0) + amount;
+    return store.coins.append({
+        id: crypto.randomBytes(8).toString('hex'),
+        userId: user.id,
+        amount,
+        reason,
+        ref: ref || null,
+        balance: user.coins,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Both mutate `user`, so callers must save the user afterwards
+function grantCoins(user, amount, reason, ref) {
+    if (!(amount > 0)) return null;
+    return recordCoins(user, amount, reason, ref);
+}
+
+// Null when the user can't afford it
+function spendCoins(user, amount, reason, ref) {
+    openCoinAccount(user);
+    if ((user.coins || 0) < amount) return null;
+    return recordCoins(user, -amount, reason, ref);
+}
+
+function grantPlayCoins(user, gameId) {
+    const today = new Date().toISOString().slice(0, 10);
+    const earnedToday = store.coins.forUser(user.id)
+        .filter(t => t.reason === 'play' && t.timestamp.startsWith(today)).length;
+    if (earnedToday >= COIN_DAILY_PLAY_LIMIT) return null;
+    return grantCoins(user, COIN_REWARDS.play, 'play', gameId);
+}
+
+function toPublicShopItem(item, user) {
+    return {
+        ...item,
+        owned: user ? ownsShopItem(user, item) : item.price === 0,
+        equipped: user ? isShopItemEquipped(user, item) : false
+    };
+}
+
+// Balance plus recent transactions, newest first
+app.get('/api/user/coins', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const ledger = store.coins.forUser(user.id);
+        const ledgerBalance = ledger.reduce((sum, t) => sum + t.amount, 0);
+
+        res.json({
+            balance: user.coins || 0,
+            ledger_balance: ledger.length > 0 ? ledgerBalance : user.coins || 0,
+            transactions: ledger.slice(-COIN_HISTORY_LIMIT).reverse()
+        });
+    } catch (error) {
+        console.error('Coins error:', error);
+        res.status(500).json({ error: 'Failed to load coins' });
+    }
+});
+
+app.get('/api/shop', (req, res) => {
+    try {
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+
+        res.json({
+            coins: user ? user.coins || 0 : null,
+            items: SHOP_ITEMS.map(item => toPublicShopItem(item, user))
+        });
+    } catch (error) {
+        console.error('Shop error:', error);
+        res.status(500).json({ error: 'Failed to load shop' });
+    }
+});
+
+app.post('/api/shop/purchase', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const item = findShopItem(req.body.item_id);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        if (ownsShopItem(user, item)) {
+            return res.status(409).json({ error: 'You already own this' });
+        }
+
+        if (!spendCoins(user, item.price, 'purchase', item.id)) {
+            return res.status(402).json({ error: 'Not enough coins', price: item.price, coins: user.coins || 0 });
+        }
+
+        if (!user.owned_items) user.owned_items = [];
+        user.owned_items.push(item.id);
+        store.users.save(user);
+
+        res.json({ success: true, item: toPublicShopItem(item, user), coins: user.coins });
+    } catch (error) {
+        console.error('Purchase error:', error);
+        res.status(500).json({ error: 'Failed to complete purchase' });
+    }
+});
+
+// ==========================================
+// LOCAL PROFILE IMPORT
+// ==========================================
+
+// Before server accounts, every page kept the player in
+// localStorage.arcadeUser. Players get one chance to bring that blob over;
+// anything the server can't vouch for is rejected and listed in the report.
+
+// Fields the server works out for itself, so the local copies are ignored
+const IMPORT_DERIVED_FIELDS = ['username', 'email', 'level', 'xp', 'gamesPlayed'];
+
+// The local balance can't be verified, so only this much of it carries over
+const IMPORT_COINS_MAX = 100;
+
+// Local play counts can't be verified either; these keep an import from
+// reaching the play-count achievements on its own
+const IMPORT_PLAYS_MAX_PER_GAME = 5;
+const IMPORT_PLAYS_MAX_TOTAL = 50;
+
+// The arcade only went up after this, so no local profile is older
+const LOCAL_PROFILE_EPOCH = Date.parse('2025-10-11T00:00:00.000Z');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A parseable date that isn't in the future, as an ISO string, or null.
+// Dates from before the arcade existed are moved up to LOCAL_PROFILE_EPOCH.
+function parsePastDate(value) {
+    const time = new Date(value).getTime();
+    if (typeof value !== 'string' || !Number.isFinite(time) || time > Date.now()) return null;
+    return new Date(Math.max(time, LOCAL_PROFILE_EPOCH)).toISOString();
+}
+
+function importProfile(user, blob) {
+    const report = { accepted: [], rejected: [] };
+    const accept = (field, key, value) => report.accepted.push({ field, key, value });
+    const reject = (field, key, reason) => report.rejected.push({ field, key, reason });
+
+    // Achievements are checked against what the server knew before any of
+    // the blob was applied
+    const serverStats = buildAchievementStats(user, {
+        scores: store.scores.all(),
+        plays: store.plays.all(),
+        unlockedCount: store.achievements.forUser(user.id).length
+    });
+
+    // High scores: keep whichever is higher. Imported bests can't be verified,
+    // so they stay off the leaderboards and out of total_score.
+    if (blob.highScores !== undefined) {
+        if (!isPlainObject(blob.highScores)) {
+            reject('highScores', null, 'must be an object');
+        } else {
+            if (!user.high_scores) user.high_scores = {};
+            Object.entries(blob.highScores).forEach(([key, entry]) => {
+                const game = findGame(key);
+                const score = isPlainObject(entry) ? entry.score : undefined;
+                if (!game) return reject('highScores', key, 'unknown game');
+                if (!Number.isSafeInteger(score) || score < 0) return reject('highScores', key, 'score must be a non-negative whole number');
+                if (score > scoreRulesFor(game).max_score) return reject('highScores', key, 'score exceeds the game maximum');
+
+                const current = user.high_scores[game.id];
+                if (current && current.score >= score) return reject('highScores', key, 'server already has an equal or higher score');
+
+                user.high_scores[game.id] = {
+                    score,
+                    date: parsePastDate(entry.date) || new Date().toISOString(),
+                    imported: true
+                };
+                user.highest_score = Math.max(user.highest_score || 0, score);
+                accept('highScores', game.id, score);
+            });
+        }
+    }
+
+    // Play counts: the browser and the server both counted, so keep the
+    // larger, within the import limits
+    if (blob.gamePlays !== undefined) {
+        if (!isPlainObject(blob.gamePlays)) {
+            reject('gamePlays', null, 'must be an object');
+        } else {
+            if (!user.game_plays) user.game_plays = {};
+            let budget = IMPORT_PLAYS_MAX_TOTAL;
+            Object.entries(blob.gamePlays).forEach(([key, count]) => {
+                const game = findGame(key);
+                if (!game) return reject('gamePlays', key, 'unknown game');
+                if (!Number.isSafeInteger(count) || count < 0) return reject('gamePlays', key, 'count must be a non-negative whole number');
+
+                const current = user.game_plays[game.id] || 0;
+                const allowed = Math.min(count, IMPORT_PLAYS_MAX_PER_GAME, current + budget);
+                if (current >= allowed) {
+                    return reject('gamePlays', key, budget > 0 ? 'server already has as many plays' : `only ${IMPORT_PLAYS_MAX_TOTAL} plays carry over`);
+                }
+
+                budget -= allowed - current;
+                user.game_plays[game.id] = allowed;
+                accept('gamePlays', game.id, allowed);
+                if (allowed < count) reject('gamePlays', key, `only ${allowed} plays carry over`);
+            });
+            const importedTotal = Object.values(user.game_plays).reduce((sum, n) => sum + n, 0);
+            user.total_plays = Math.max(user.total_plays || 0, importedTotal);
+        }
+    }
+
+    // Achievements keep their local unlock date but pay nothing, and only
+    // ones the server can confirm the player has earned are taken
+    if (blob.achievements !== undefined) {
+        if (!Array.isArray(blob.achievements)) {
+            reject('achievements', null, 'must be an array');
+        } else {
+            blob.achievements.forEach(entry => {
+                const id = isPlainObject(entry) ? entry.id : entry;
+                const achievement = ACHIEVEMENTS.find(a => a.id === id);
+                if (!achievement) return reject('achievements', String(id), 'unknown achievement');
+                if (isPlainObject(entry) && entry.unlocked === false) return reject('achievements', id, 'not unlocked');
+                if (!achievement.check) return reject('achievements', id, 'not tracked, so it can\'t be verified');
+                if (!achievement.check(serverStats)) return reject('achievements', id, 'not earned on this server yet');
+
+                const unlockedAt = (isPlainObject(entry) && parsePastDate(entry.unlockedAt)) || new Date().toISOString();
+                if (!store.achievements.unlock(user.id, id, unlockedAt, { imported: true })) return reject('achievements', id, 'already unlocked');
+
+                accept('achievements', id, unlockedAt);
+            });
+        }
+    }
+
+    // Old movie views were provider links; keep the ones in the catalog.
+    // Like high scores, they can't be verified, so they earn nothing.
+    if (blob.moviesWatched !== undefined) {
+        if (!Array.isArray(blob.moviesWatched)) {
+            reject('moviesWatched', null, 'must be an array');
+        } else {
+            if (!user.movie_history) user.movie_history = [];
+            const watched = new Set(watchedMovieIds(user));
+            blob.moviesWatched.forEach(url => {
+                const movie = typeof url === 'string' ? findMovieByUrl(url) : null;
+                if (!movie) return reject('moviesWatched', String(url), 'not in the movie catalog');
+                if (watched.has(movie.id)) return;
+                watched.add(movie.id);
+                user.movie_history.push({ movie_id: movie.id, provider: null, watched_at: null, imported: true });
+                accept('moviesWatched', movie.id, true);
+            });
+        }
+    }
+
+    if (blob.coins !== undefined) {
+        const coins = Math.min(blob.coins, IMPORT_COINS_MAX);
+        if (!Number.isSafeInteger(blob.coins) || blob.coins < 0) {
+            reject('coins', null, 'must be a non-negative whole number');
+        } else if ((user.coins || 0) >= coins) {
+            reject('coins', null, 'server balance is already as high');
+        } else {
+            grantCoins(user, coins - (user.coins || 0), 'import');
+            accept('coins', null, coins);
+            if (coins < blob.coins) reject('coins', null, `only ${IMPORT_COINS_MAX} coins carry over`);
+        }
+    }
+
+    // Like a profile update, paid looks have to be bought first
+    if (blob.avatar !== undefined) {
+        const item = AVATAR_OPTIONS.includes(blob.avatar) ? findShopItemByValue('avatar', blob.avatar) : null;
+        if (!item) {
+            reject('avatar', null, 'not one of the available avatars');
+        } else if (!ownsShopItem(user, item)) {
+            reject('avatar', null, 'buy this avatar in the shop first');
+        } else {
+            user.avatar = blob.avatar;
+            user.avatar_url = blob.avatar;
+            accept('avatar', null, blob.avatar);
+        }
+    }
+
+    if (blob.banner !== undefined) {
+        const item = BANNER_OPTIONS.includes(blob.banner) ? findShopItemByValue('banner', blob.banner) : null;
+        if (!item) {
+            reject('banner', null, 'not one of the available banners');
+        } else if (!ownsShopItem(user, item)) {
+            reject('banner', null, 'buy this banner in the shop first');
+        } else {
+            user.banner = blob.banner;
+            accept('banner', null, blob.banner);
+        }
+    }
+
+    if (blob.bio !== undefined) {
+        const bio = typeof blob.bio === 'string' ? blob.bio.trim() : null;
+        if (bio === null || bio.length > BIO_MAX_LENGTH) {
+            reject('bio', null, `must be text of at most ${BIO_MAX_LENGTH} characters`);
+        } else if (bio && bio !== DEFAULT_BIO) {
+            user.bio = bio;
+            accept('bio', null, bio);
+        }
+    }
+
+    // The old friend list only ever held placeholders, so there is nothing to link up
+    if (Array.isArray(blob.friends) && blob.friends.length > 0) {
+        reject('friends', null, 'friends have to be added again from their profiles');
+    }
+
+    // Shown as the join date, but Veteran still counts from registered_at
+    if (blob.joinDate !== undefined) {
+        const joined = parsePastDate(blob.joinDate);
+        if (!joined) {
+            reject('joinDate', null, 'not a valid past date');
+        } else if (joined < user.created_at) {
+            if (!user.registered_at) user.registered_at = user.created_at;
+            user.created_at = joined;
+            accept('joinDate', null, joined);
+        }
+    }
+
+    IMPORT_DERIVED_FIELDS.forEach(field => {
+        if (blob[field] !== undefined) reject(field, null, 'calculated by the server');
+    });
+
+    return report;
+}
+
+app.post('/api/user/import', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const user = store.users.get(req.session.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.import_report) {
+            return res.status(409).json({ error: 'Local profile already imported', report: user.import_report });
+        }
+
+        if (!isPlainObject(req.body)) {
+            return res.status(400).json({ error: 'Expected the arcadeUser object' });
+        }
+
+        const report = importProfile(user, req.body);
+        const newAchievements = evaluateAchievements(user);
+
+        user.import_report = { imported_at: new Date().toISOString(), ...report };
+        store.users.save(user);
+
+        res.json({ success: true, report: user.import_report, new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Profile import error:', error);
+        res.status(500).json({ error: 'Failed to import profile' });
+    }
+});
+
+app.get('/api/user/import', (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = store.users.get(req.session.userId);
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ imported: Boolean(user.import_report), report: user.import_report || null });
+});
+
+// ==========================================
+// ACHIEVEMENTS ROUTES
+// ==========================================
+
+// Every achievement definition, for pages that render the full list
+app.get('/api/achievements', (req, res) => {
+    res.json(ACHIEVEMENTS.map(toPublicAchievement));
+});
+
+app.get('/api/user/achievements', (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const userAchievements = store.achievements.forUser(req.session.userId);
+
+        // Return all achievements with unlock status
+        const achievementsWithStatus = ACHIEVEMENTS.map(ach => {
+            const unlocked = userAchievements.find(ua => ua.achievementId === ach.id);
+            return {
+                ...toPublicAchievement(ach),
+                unlocked_at: unlocked ? unlocked.unlockedAt : null
+            };
+        });
+
+        res.json(achievementsWithStatus);
+    } catch (error) {
+        console.error('Achievements error:', error);
+        res.status(500).json({ error: 'Failed to load achievements' });
+    }
+});
+
+// ==========================================
+// XP ROUTES
+// ==========================================
+
+// The curve and rules, so pages can explain what earns XP
+app.get('/api/progression', (req, res) => {
+    res.json({
+        level_cap: PRESTIGE_LEVEL_CAP,
+        levels: Array.from({ length: PRESTIGE_LEVEL_CAP }, (_, i) => ({ level: i + 1, xp_required: xpForLevel(i + 1) })),
+        rules: {
+            ...XP_RULES,
+            daily_challenge: DAILY_REWARD.xp,
+            tournament: TOURNAMENT_PRIZES.map(prize => prize.xp),
+            achievement: 'xp_reward of each achievement'
+        }
+    });
+});
+
+// Progress plus recent grants, newest first
+app.get('/api/user/xp', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        res.json({
+            ...toPublicProgress(user),
+            xp_multiplier: prestigeMultiplier(user),
+            grants: store.xpLedger.forUser(user.id).slice(-XP_HISTORY_LIMIT).reverse()
+        });
+    } catch (error) {
+        console.error('XP history error:', error);
+        res.status(500).json({ error: 'Failed to load XP history' });
+    }
+});
+
+// ==========================================
+// PRESTIGE
+// ==========================================
+
+// Players at the level cap can start over from level 1. Each prestige adds a
+// permanent XP bonus and shows next to their level everywhere.
+const PRESTIGE_LEVEL_CAP = 50;
+const PRESTIGE_MAX = 10;
+const PRESTIGE_XP_BONUS = 0.1;
+
+function prestigeMultiplier(user) {
+    return Math.round((1 + (user.prestige || 0) * PRESTIGE_XP_BONUS) * 100) / 100;
+}
+
+// Why the user can't prestige right now, or null if they can
+function prestigeBlocker(user) {
+    if ((user.prestige || 0) >= PRESTIGE_MAX) return `Prestige ${PRESTIGE_MAX} is the highest there is`;
+    if ((user.level || 1) < PRESTIGE_LEVEL_CAP) return `Reach level ${PRESTIGE_LEVEL_CAP} to prestige`;
+    return null;
+}
+
+function prestigeStatus(user) {
+    const blocker = prestigeBlocker(user);
+    return {
+        prestige: user.prestige || 0,
+        level: user.level || 1,
+        xp: user.xp || 0,
+        progress: toPublicProgress(user),
+        level_cap: PRESTIGE_LEVEL_CAP,
+        max_prestige: PRESTIGE_MAX,
+        xp_multiplier: prestigeMultiplier(user),
+        can_prestige: !blocker,
+        reason: blocker,
+        history: user.prestige_history || []
+    };
+}
+
+app.get('/api/user/prestige', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        res.json(prestigeStatus(user));
+    } catch (error) {
+        console.error('Prestige status error:', error);
+        res.status(500).json({ error: 'Failed to load prestige' });
+    }
+});
+
+// Opt in: level and XP go back to the start, prestige goes up by one
+app.post('/api/user/prestige', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        const blocker = prestigeBlocker(user);
+        if (blocker) {
+            return res.status(400).json({ error: blocker, ...prestigeStatus(user) });
+        }
+
+        if (!user.prestige_history) user.prestige_history = [];
+        user.prestige = (user.prestige || 0) + 1;
+        user.prestige_history.push({
+            prestige: user.prestige,
+            level: user.level,
+            xp: user.xp || 0,
+            at: new Date().toISOString()
+        });
+        user.level = 1;
+        user.xp = 0;
+
+        // Century Club counts prestiged levels
+        const newAchievements = evaluateAchievements(user);
+        store.users.save(user);
+        console.log(`${user.username} reached prestige ${user.prestige}`);
+
+        res.json({ success: true, ...prestigeStatus(user), new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Prestige error:', error);
+        res.status(500).json({ error: 'Failed to prestige' });
+    }
+});
+
+// ==========================================
+// CHALLENGES & TOURNAMENTS
+// ==========================================
+
+// A game of the day with a target score, and a tournament every weekend.
+// Both only pick games whose adapter reads the score from the game itself;
+// a manual score is whatever the player typed, so it can't win prizes.
+// Days and weekends run on UTC so every player shares one schedule.
+const DAILY_REWARD = { xp: 100, coins: 25 };
+const DAILY_TARGET_DEFAULT = 1000;
+// The target is the median of players' best scores on that game
+const DAILY_TARGET_PERCENTILE = 0.5;
+const DAILY_HISTORY_DAYS = 14;
+
+// Paid out by finishing position when a tournament closes; anyone else who
+// entered and posted a score gets the participation prize
+const TOURNAMENT_PRIZES = [
+    { xp: 500, coins: 100 },
+    { xp: 300, coins: 50 },
+    { xp: 150, coins: 25 }
+];
+const TOURNAMENT_PARTICIPATION_PRIZE = { xp: 25, coins: 5 };
+const TOURNAMENT_PODIUM_SIZE = 3;
+const TOURNAMENT_SETTLE_INTERVAL_MS = 60 * 1000;
+
+function utcDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function hasTrustedScores(game) {
+    return Boolean(game && game.score_adapter && game.score_adapter.type !== 'manual');
+}
+
+function challengeGames() {
+    return GAME_CATALOG.filter(game => hasTrustedScores(game) && isGameAvailable(game));
+}
+
+// The same seed always picks the same game
+function pickChallengeGame(seed) {
+    const games = challengeGames();
+    if (games.length === 0) return null;
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    return games[hash.readUInt32BE(0) % games.length];
+}
+
+function dailyTargetFor(game) {
+    const bests = {};
+    store.scores.forGame(game.id).forEach(record => {
+        bests[record.userId] = Math.max(bests[record.userId] || 0, record.score);
+    });
+
+    const sorted = Object.values(bests).sort((a, b) => a - b);
+    if (sorted.length === 0) return Math.min(DAILY_TARGET_DEFAULT, scoreRulesFor(game).max_score);
+    return Math.max(1, sorted[Math.floor((sorted.length - 1) * DAILY_TARGET_PERCENTILE)]);
+}
+
+// Today's challenge, fixed the first time anyone asks for it
+function currentDailyChallenge(now = new Date()) {
+    const date = utcDateKey(now);
+    const existing = store.challenges.daily(date);
+    if (existing) return existing;
+
+    const game = pickChallengeGame(`daily:${date}`);
+    if (!game) return null;
+
+    return store.challenges.putDaily({
+        date,
+        game_id: game.id,
+        target_score: dailyTargetFor(game),
+        completions: []
+    });
+}
+
+// Called for every accepted score. Returns the reward if this score completed
+// today's challenge, otherwise null.
+function recordDailyProgress(user, gameId, score) {
+    const challenge = currentDailyChallenge();
+    if (!challenge || challenge.game_id !== gameId || score < challenge.target_score) return null;
+    // A challenge picked before manual games were left out pays nothing
+    if (!hasTrustedScores(findGame(gameId))) return null;
+    if (challenge.completions.some(c => c.userId === user.id)) return null;
+
+    challenge.completions.push({ userId: user.id, username: user.username, score, completed_at: new Date().toISOString() });
+    store.challenges.save();
+
+    const xpGained = grantXp(user, 'daily_challenge', DAILY_REWARD.xp, challenge.date);
+    grantCoins(user, DAILY_REWARD.coins, 'daily_challenge', challenge.date);
+    return { date: challenge.date, xp_gained: xpGained, coins_gained: DAILY_REWARD.coins };
+}
+
+function challengeGameSummary(gameId) {
+    const game = findGame(gameId);
+    return game
+        ? { id: game.id, name: game.name, icon: game.icon, image: game.image }
+        : { id: gameId, name: gameId, icon: '🎮', image: null };
+}
+
+function toDailySummary(challenge, user) {
+    const completion = user ? challenge.completions.find(c => c.userId === user.id) : null;
+    const endsAt = new Date(Date.parse(`${challenge.date}T00:00:00Z`) + DAY_MS);
+
+    return {
+        date: challenge.date,
+        game: challengeGameSummary(challenge.game_id),
+        target_score: challenge.target_score,
+        ends_at: endsAt.toISOString(),
+        reward: DAILY_REWARD,
+        completions: challenge.completions.length,
+        completed: Boolean(completion),
+        completed_at: completion ? completion.completed_at : null
+    };
+}
+
+// Saturday 00:00 UTC of the weekend that is running now or comes next
+function weekendStart(now) {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const day = now.getUTCDay();
+    // Sunday still belongs to the weekend that started the day before
+    const daysAhead = day === 0 ? -1 : 6 - day;
+    return new Date(midnight + daysAhead * DAY_MS);
+}
+
+// Announces the coming weekend's tournament as soon as the last one is over,
+// so players can enter early
+function ensureWeekendTournament(now = new Date()) {
+    const start = weekendStart(now);
+    const id = `weekend-${utcDateKey(start)}`;
+    if (store.challenges.findTournament(id)) return;
+
+    const game = pickChallengeGame(`tournament:${id}`);
+    if (!game) return;
+
+    store.challenges.addTournament({
+        id,
+        name: `Weekend Tournament: ${game.name}`,
+        game_id: game.id,
+        starts_at: start.toISOString(),
+        ends_at: new Date(start.getTime() + 2 * DAY_MS).toISOString(),
+        entrants: [],
+        created_at: now.toISOString(),
+        closed_at: null,
+        standings: null
+    });
+    console.log(`Scheduled ${id} on ${game.id}`);
+}
+
+function tournamentStatus(tournament, now = Date.now()) {
+    if (tournament.closed_at) return 'closed';
+    if (now < Date.parse(tournament.starts_at)) return 'upcoming';
+    if (now < Date.parse(tournament.ends_at)) return 'active';
+    return 'closing';
+}
+
+// Best score per entrant inside the tournament window. Ties go to whoever
+// got there first. Frozen standings are returned as they were at close.
+function tournamentStandings(tournament) {
+    if (tournament.standings) return tournament.standings;
+    // Scheduled before manual games were left out; nobody places or wins
+    if (!hasTrustedScores(findGame(tournament.game_id))) return [];
+
+    const entrants = new Set(tournament.entrants.map(e => e.userId));
+    const start = Date.parse(tournament.starts_at);
+    const end = Date.parse(tournament.ends_at);
+    const best = {};
+
+    store.scores.forGame(tournament.game_id).forEach(record => {
+        const at = Date.parse(record.timestamp);
+        if (!entrants.has(record.userId) || at < start || at >= end) return;
+        if (!best[record.userId] || record.score > best[record.userId].score) {
+            best[record.userId] = { user_id: record.userId, username: record.username, score: record.score, achieved_at: record.timestamp };
+        }
+    });
+
+    return Object.values(best)
+        .sort((a, b) => b.score - a.score || Date.parse(a.achieved_at) - Date.parse(b.achieved_at))
+        .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+// Freezes the standings of every tournament whose time is up and pays out
+function settleTournaments(now = Date.now()) {
+    store.challenges.tournaments().forEach(tournament => {
+        if (tournamentStatus(tournament, now) !== 'closing') return;
+
+        const standings = tournamentStandings(tournament);
+        standings.forEach(row => {
+            row.prize = TOURNAMENT_PRIZES[row.rank - 1] || TOURNAMENT_PARTICIPATION_PRIZE;
+        });
+
+        // Frozen first, so achievements for placing see the final standings
+        tournament.standings = standings;
+        tournament.closed_at = new Date(now).toISOString();
+        store.challenges.save();
+
+        standings.forEach(row => {
+            const user = store.users.get(row.user_id);
+            if (!user) return;
+            grantXp(user, 'tournament', row.prize.xp, tournament.id);
+            grantCoins(user, row.prize.coins, 'tournament', tournament.id);
+            evaluateAchievements(user);
+            store.users.save(user);
+        });
+        publishEvent('tournament', toTournamentSummary(tournament, null), tournament.game_id);
+        console.log(`Closed ${tournament.id} with ${standings.length} ranked entrant(s)`);
+    });
+}
+
+// After an accepted score: live tournaments on that game the player entered
+// may have new standings
+function publishTournamentStandings(user, gameId) {
+    store.challenges.tournaments()
+        .filter(t => t.game_id === gameId && tournamentStatus(t) === 'active' && t.entrants.some(e => e.userId === user.id))
+        .forEach(t => publishEvent('tournament', toTournamentSummary(t, null), t.game_id));
+}
+
+function refreshChallenges() {
+    settleTournaments();
+    ensureWeekendTournament();
+}
+
+function toTournamentSummary(tournament, user) {
+    const standings = tournamentStandings(tournament);
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        game: challengeGameSummary(tournament.game_id),
+        starts_at: tournament.starts_at,
+        ends_at: tournament.ends_at,
+        status: tournamentStatus(tournament),
+        entrants: tournament.entrants.length,
+        entered: Boolean(user && tournament.entrants.some(e => e.userId === user.id)),
+        prizes: TOURNAMENT_PRIZES,
+        participation_prize: TOURNAMENT_PARTICIPATION_PRIZE,
+        podium: standings.slice(0, TOURNAMENT_PODIUM_SIZE),
+        closed_at: tournament.closed_at
+    };
+}
+
+// What's running now: today's game and any open or upcoming tournament
+app.get('/api/challenges', (req, res) => {
+    try {
+        refreshChallenges();
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        const daily = currentDailyChallenge();
+
+        res.json({
+            daily: daily ? toDailySummary(daily, user) : null,
+            tournaments: store.challenges.tournaments()
+                .filter(t => tournamentStatus(t) !== 'closed')
+                .map(t => toTournamentSummary(t, user))
+        });
+    } catch (error) {
+        console.error('Challenges error:', error);
+        res.status(500).json({ error: 'Failed to load challenges' });
+    }
+});
+
+app.get('/api/challenges/history', (req, res) => {
+    try {
+        refreshChallenges();
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        const today = utcDateKey(new Date());
+
+        res.json({
+            daily: store.challenges.allDaily()
+                .filter(c => c.date < today)
+                .sort((a, b) => b.date.localeCompare(a.date))
+                .slice(0, DAILY_HISTORY_DAYS)
+                .map(c => toDailySummary(c, user)),
+            tournaments: store.challenges.tournaments()
+                .filter(t => t.closed_at)
+                .sort((a, b) => b.ends_at.localeCompare(a.ends_at))
+                .map(t => toTournamentSummary(t, user))
+        });
+    } catch (error) {
+        console.error('Challenge history error:', error);
+        res.status(500).json({ error: 'Failed to load challenge history' });
+    }
+});
+
+app.get('/api/tournaments/:id', (req, res) => {
+    try {
+        refreshChallenges();
+        const tournament = store.challenges.findTournament(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        const user = req.session.userId ? store.users.get(req.session.userId) : null;
+        res.json({
+            ...toTournamentSummary(tournament, user),
+            standings: tournamentStandings(tournament)
+        });
+    } catch (error) {
+        console.error('Tournament error:', error);
+        res.status(500).json({ error: 'Failed to load tournament' });
+    }
+});
+
+app.post('/api/tournaments/:id/enter', (req, res) => {
+    try {
+        const user = requireSessionUser(req, res);
+        if (!user) return;
+
+        refreshChallenges();
+        const tournament = store.challenges.findTournament(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        const status = tournamentStatus(tournament);
+        if (status === 'closed' || status === 'closing') {
+            return res.status(409).json({ error: 'This tournament has ended' });
+        }
+        if (tournament.entrants.some(e => e.userId === user.id)) {
+            return res.status(409).json({ error: 'You already entered this tournament' });
+        }
+
+        tournament.entrants.push({ userId: user.id, entered_at: new Date().toISOString() });
+        store.challenges.save();
+
+        const newAchievements = evaluateAchievements(user);
+        store.users.save(user);
+
+        res.json({ success: true, ...toTournamentSummary(tournament, user), new_achievements: newAchievements });
+    } catch (error) {
+        console.error('Tournament entry error:', error);
+        res.status(500).json({ error: 'Failed to enter tournament' });
+    }
+});
+
+// ==========================================
+// LIVE EVENTS
+// ==========================================
+
+// Server-Sent Events at /api/events. Clients can narrow the stream with
+// ?games=a,b and ?types=high_score,level_up. The last EVENT_BUFFER_SIZE
+// events are kept so a client that reconnects with Last-Event-ID gets what
+// it missed. If it was gone longer than that, or the server restarted, it is
+// sent a `reset` event and should reload whatever it shows.
+const EVENT_TYPES = ['high_score', 'level_up', 'achievement', 'tournament'];
+const EVENT_BUFFER_SIZE = 500;
+const EVENT_RETRY_MS = 3000;
+// Comment lines keep proxies from closing idle connections
+const EVENT_KEEPALIVE_MS = 25 * 1000;
+const EVENT_MAX_CLIENTS = 1000;
+const EVENT_RECENT_LIMIT = 50;
+
+// Event ids are `<epoch>-<sequence>`; the epoch changes on every restart
+const liveEvents = {
+    epoch: Date.now().toString(36),
+    nextSequence: 1,
+    buffer: [],
+    clients: new Set(),
+    keepalive: null
+};
+
+function wantsEvent(client, event) {
+    if (client.types && !client.types.has(event.type)) return false;
+    if (client.games && !client.games.has(event.game_id)) return false;
+    return true;
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function publishEvent(type, data, gameId = null) {
+    const sequence = liveEvents.nextSequence++;
+    const event = {
+        id: `${liveEvents.epoch}-${sequence}`,
+        sequence,
+        type,
+        game_id: gameId,
+        at: new Date().toISOString(),
+        data
+    };
+
+    liveEvents.buffer.push(event);
+    if (liveEvents.buffer.length > EVENT_BUFFER_SIZE) liveEvents.buffer.shift();
+
+    liveEvents.clients.forEach(client => {
+        if (wantsEvent(client, event)) writeEvent(client.res, event);
+    });
+}
+
+// The buffered events after lastEventId, or null if some were lost
+function eventsSince(lastEventId) {
+    const [epoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = Number(sequenceText);
+    if (epoch !== liveEvents.epoch || !Number.isInteger(sequence)) return null;
+
+    const oldest = liveEvents.buffer.length ? liveEvents.buffer[0].sequence : liveEvents.nextSequence;
+    if (sequence < oldest - 1) return null;
+    return liveEvents.buffer.filter(event => event.sequence > sequence);
+}
+
+function parseEventFilter(value) {
+    if (!value) return null;
+    return new Set(String(value).split(',').map(item => item.trim()).filter(Boolean));
+}
+
+function startEventKeepalive() {
+    if (liveEvents.keepalive) return;
+    liveEvents.keepalive = setInterval(() => {
+        liveEvents.clients.forEach(client => client.res.write(': keepalive\n\n'));
+    }, EVENT_KEEPALIVE_MS);
+    liveEvents.keepalive.unref();
+}
+
+app.get('/api/events', (req, res) => {
+    try {
+        const types = parseEventFilter(req.query.types);
+        const unknown = types ? [...types].filter(type => !EVENT_TYPES.includes(type)) : [];
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown event type: ${unknown.join(', ')}`, types: EVENT_TYPES });
+        }
+        if (liveEvents.clients.size >= EVENT_MAX_CLIENTS) {
+            return res.status(503).json({ error: 'Too many live connections, try again shortly' });
+        }
+
+        const client = { res, types, games: parseEventFilter(req.query.games) };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+        // EventSource sends Last-Event-ID itself on reconnect; the query
+        // parameter is for clients resuming a stream another tab held
+        const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+        if (lastEventId) {
+            const missed = eventsSince(lastEventId);
+            if (missed) {
+                missed.filter(event => wantsEvent(client, event)).forEach(event => writeEvent(res, event));
+            } else {
+                res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+            }
+        }
+
+        liveEvents.clients.add(client);
+        startEventKeepalive();
+        req.on('close', () => liveEvents.clients.delete(client));
+    } catch (error) {
+        console.error('Event stream error:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+// The newest buffered events, oldest first, for filling a feed before the
+// stream delivers anything
+app.get('/api/events/recent', (req, res) => {
+    try {
+        const client = { types: parseEventFilter(req.query.types), games: parseEventFilter(req.query.games) };
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), EVENT_RECENT_LIMIT);
+
+        res.json(liveEvents.buffer.filter(event => wantsEvent(client, event)).slice(-limit));
+    } catch (error) {
+        console.error('Recent events error:', error);
+        res.status(500).json({ error: 'Failed to load recent events' });
+    }
+});
+
+// ==========================================
+// ADMIN & MODERATION
+// ==========================================
+
+// Every user has a role. Moderators look after players: they can search
+// accounts, ban or suspend them, rename them, void or delete scores, review
+// flagged scores and fix catalog entries. Admins can do all of that to anyone
+// but themselves, and hand out roles. Each action lands in the audit log.
+const ROLES = ['player', 'moderator', 'admin'];
+
+// Comma-separated usernames made admins at startup, so a fresh install has
+// someone who can promote everyone else
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+const MODERATION_REASON_MAX_LENGTH = 200;
+const SUSPENSION_MAX_HOURS = 365 * 24;
+const ADMIN_PAGE_SIZE = 25;
+const ADMIN_PAGE_MAX = 100;
+
+// What PATCH /api/admin/games/:id may change. null puts a field back to its
+// GAME_CATALOG value.
+const CATALOG_TEXT_FIELDS = ['name', 'file', 'image', 'creator', 'icon', 'tagline', 'subtitle', 'description'];
+const CATALOG_TEXT_MAX_LENGTH = 1000;
+const CATALOG_EDITABLE_FIELDS = [...CATALOG_TEXT_FIELDS, 'related', 'max_score', 'min_play_seconds', 'score_adapter', 'disabled'];
+
+function roleOf(user) {
+    return ROLES.includes(user.role) ? user.role : 'player';
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(roleOf(user)) >= ROLES.indexOf(role);
+}
+
+// Nobody moderates themselves, and only admins act on other staff
+function canModerate(actor, target) {
+    return actor.id !== target.id && (roleOf(actor) === 'admin' || roleOf(target) === 'player');
+}
+
+// The signed-in user if they hold at least `role`, or null once an error has
+// been sent
+function requireRole(req, res, role) {
+    const user = requireSessionUser(req, res);
+    if (!user) return null;
+    if (!hasRole(user, role)) {
+        res.status(403).json({ error: 'You do not have permission to do that' });
+        return null;
+    }
+    return user;
+}
+
+// The user named in the route that `actor` may act on, or null once a
+// 403/404 has been sent
+function moderationTarget(req, res, actor) {
+    const target = store.users.get(req.params.id);
+    if (!target) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    if (!canModerate(actor, target)) {
+        res.status(403).json({ error: 'You cannot moderate this account' });
+        return null;
+    }
+    return target;
+}
+
+// Every action needs a reason for the audit log. Null once a 400 has been sent.
+function moderationReason(req, res) {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > MODERATION_REASON_MAX_LENGTH) {
+        res.status(400).json({ error: `A reason of 1-${MODERATION_REASON_MAX_LENGTH} characters is required` });
+        return null;
+    }
+    return reason;
+}
+
+// `actor` is null for changes the server makes itself
+function recordAudit(actor, action, target, { reason = null, details = {} } = {}) {
+    return store.auditLog.append({
+        id: crypto.randomBytes(8).toString('hex'),
+        at: new Date().toISOString(),
+        actor_id: actor ? actor.id : null,
+        actor: actor ? actor.username : 'system',
+        action,
+        target_type: target.type,
+        target_id: target.id,
+        reason,
+        details
+    });
+}
+
+function accountStatus(user) {
+    const ban = activeBan(user);
+    if (!ban) return 'active';
+    return ban.until ? 'suspended' : 'banned';
+}
+
+function toAdminUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email || null,
+        role: roleOf(user),
+        status: accountStatus(user),
+        ban: activeBan(user),
+        level: user.level || 1,
+        prestige: user.prestige || 0,
+        total_score: user.total_score || 0,
+        total_games_played: user.total_games_played || 0,
+        pending_flagged_scores: store.flaggedScores.pending().filter(f => f.userId === user.id).length,
+        created_at: user.created_at
+    };
+}
+
+function toAdminScore(record) {
+    return {
+        id: record.id,
+        user_id: record.userId,
+        username: record.username,
+        game_id: record.game_name,
+        score: record.score,
+        source: record.source || null,
+        play_seconds: record.play_seconds === undefined ? null : record.play_seconds,
+        timestamp: record.timestamp,
+        voided: record.voided || null
+    };
+}
+
+// Takes a voided or deleted score back out of its owner's totals. The best
+// on that game is rebuilt from the scores left, unless it was imported from
+// a local profile. XP and coins already earned are kept.
+function removeScoreFromTotals(user, record) {
+    user.total_score = Math.max((user.total_score || 0) - record.score, 0);
+    user.total_games_played = Math.max((user.total_games_played || 0) - 1, 0);
+
+    if (!user.high_scores) user.high_scores = {};
+    const current = user.high_scores[record.game_name];
+    if (current && !current.imported) {
+        const best = store.scores.forUser(user.id)
+            .filter(r => r.game_name === record.game_name && r.id !== record.id)
+            .sort((a, b) => b.score - a.score || Date.parse(a.timestamp) - Date.parse(b.timestamp))[0];
+        if (best) {
+            user.high_scores[record.game_name] = { score: best.score, date: best.timestamp };
+        } else {
+            delete user.high_scores[record.game_name];
+        }
+    }
+    user.highest_score = Math.max(0, ...Object.values(user.high_scores).map(h => h.score));
+}
+
+// Usernames are copied onto score records and frozen tournament standings,
+// so a rename has to reach those too
+function renameUser(user, username) {
+    user.username = username;
+    store.users.save(user);
+
+    store.scores.allRecords().forEach(r => { if (r.userId === user.id) r.username = username; });
+    store.flaggedScores.all().forEach(f => { if (f.userId === user.id) f.username = username; });
+    store.challenges.tournaments().forEach(t => {
+        (t.standings || []).forEach(row => { if (row.user_id === user.id) row.username = username; });
+    });
+    store.challenges.save();
+
+    return Promise.all([store.scores.save(), store.flaggedScores.save()]);
+}
+
+// Field name -> message for anything in a catalog edit that isn't allowed
+function validateCatalogEdit(game, changes) {
+    const fields = {};
+
+    Object.entries(changes).forEach(([field, value]) => {
+        if (!CATALOG_EDITABLE_FIELDS.includes(field)) {
+            fields[field] = 'This field cannot be edited';
+        } else if (value === null) {
+            // Back to the default
+        } else if (CATALOG_TEXT_FIELDS.includes(field)) {
+            if (typeof value !== 'string' || !value.trim() || value.length > CATALOG_TEXT_MAX_LENGTH) {
+                fields[field] = `Use 1-${CATALOG_TEXT_MAX_LENGTH} characters`;
+            }
+        } else if (field === 'max_score' || field === 'min_play_seconds') {
+            if (!Number.isSafeInteger(value) || value <= 0) {
+                fields[field] = 'Must be a positive whole number';
+            }
+        } else if (field === 'disabled') {
+            if (typeof value !== 'boolean') {
+                fields[field] = 'Must be true or false';
+            }
+        } else if (field === 'related') {
+            if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || id === game.id || !findGame(id))) {
+                fields[field] = 'Must be a list of other game ids';
+            }
+        } else if (field === 'score_adapter') {
+            if (!isPlainObject(value) || !SCORE_ADAPTER_TYPES.includes(value.type)) {
+                fields[field] = `type must be one of ${SCORE_ADAPTER_TYPES.join(', ')}`;
+            } else if (value.type === 'shared_object' && (typeof value.name !== 'string' || typeof value.path !== 'string')) {
+                fields[field] = 'shared_object adapters need a name and a path';
+            } else if (value.type === 'external_interface' && typeof value.method !== 'string') {
+                fields[field] = 'external_interface adapters need a method';
+            }
+        }
+    });
+
+    return fields;
+}
+
+// GAME_CATALOG as written in this file, before any admin edits
+const catalogDefaults = new Map();
+
+// Lays the stored admin edits over a GAME_CATALOG entry. Entries are changed
+// in place, so everything already holding one sees the edit.
+function applyCatalogOverrides(game) {
+    if (!catalogDefaults.has(game.id)) {
+        catalogDefaults.set(game.id, { ...game });
+    }
+    const defaults = catalogDefaults.get(game.id);
+    const overrides = store.catalogOverrides.get(game.id);
+
+    CATALOG_EDITABLE_FIELDS.forEach(field => {
+        if (field in overrides) {
+            game[field] = overrides[field];
+        } else if (field in defaults) {
+            game[field] = defaults[field];
+        } else {
+            delete game[field];
+        }
+    });
+}
+
+function promoteConfiguredAdmins() {
+    ADMIN_USERNAMES.forEach(username => {
+        const user = store.users.findByUsername(username);
+        if (!user) {
+            console.warn(`ADMIN_USERNAMES: no user named "${username}"`);
+            return;
+        }
+        if (roleOf(user) === 'admin') return;
+
+        const previous = roleOf(user);
+        user.role = 'admin';
+        store.users.save(user);
+        recordAudit(null, 'user.role', { type: 'user', id: user.id }, {
+            reason: 'Listed in ADMIN_USERNAMES',
+            details: { from: previous, to: 'admin' }
+        });
+        console.log(`Made ${user.username} an admin (ADMIN_USERNAMES)`);
+    });
+}
+
+// Scores from before moderation have no id to point at
+function assignScoreIds() {
+    const missing = store.scores.allRecords().filter(r => !r.id);
+    if (missing.length === 0) return;
+
+    missing.forEach(r => { r.id = crypto.randomBytes(8).toString('hex'); });
+    store.scores.save()
+        .then(() => console.log(`Gave ids to ${missing.length} older score(s)`))
+        .catch(error => console.error('Error assigning score ids:', error));
+}
+
+// Search by username, email or id. ?status=active|banned|suspended and
+// ?role= narrow it further.
+app.get('/api/admin/users', (req, res) => {
+    try {
+        if (!requireRole(req, res, 'moderator')) return;
+
+        const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_PAGE_SIZE, 1), ADMIN_PAGE_MAX);
+
+        const users = store.users.all()
+            .filter(user => !query
+                || user.id === query
+                || user.username.toLowerCase().includes(query)
+                || (user.email && user.email.toLowerCase().includes(query)))
+            .filter(user => !req.query.role || roleOf(user) === req.query.role)
+            .filter(user => !req.query.status || accountStatus(user) === req.query.status)
+            .sort((a, b) => a.username.localeCompare(b.username));
+
+        res.json({ total: users.length, users: users.slice(0, limit).map(toAdminUser) });
+    } catch (error) {
+        console.error('Admin user search error:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// One account with its scores (voided ones too) and what's been done to it
+app.get('/api/admin/users/:id', (req, res) => {
+    try {
+        if (!requireRole(req, res, 'moderator')) return;
+
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            ...toAdminUser(user),
+            scores: store.scores.allRecords()
+                .filter(r => r.userId === user.id)
+                .slice(-ADMIN_PAGE_MAX)
+                .reverse()
+                .map(toAdminScore),
+            flagged_scores: store.flaggedScores.all().filter(f => f.userId === user.id).reverse(),
+            audit: store.auditLog.all()
+                .filter(entry => entry.target_type === 'user' && entry.target_id === user.id)
+                .slice(-ADMIN_PAGE_SIZE)
+                .reverse()
+        });
+    } catch (error) {
+        console.error('Admin user error:', error);
+        res.status(500).json({ error: 'Failed to load user' });
+    }
+});
+
+app.post('/api/admin/users/:id/ban', (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderationTarget(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        target.ban = { reason, by: actor.id, at: new Date().toISOString(), until: null };
+        store.users.save(target);
+        recordAudit(actor, 'user.ban', { type: 'user', id: target.id }, { reason });
+
+        res.json({ success: true, user: toAdminUser(target) });
+    } catch (error) {
+        console.error('Ban error:', error);
+        res.status(500).json({ error: 'Failed to ban user' });
+    }
+});
+
+// Like a ban, but lifts itself after `hours`
+app.post('/api/admin/users/:id/suspend', (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderationTarget(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { hours } = req.body;
+        if (typeof hours !== 'number' || !(hours > 0) || hours > SUSPENSION_MAX_HOURS) {
+            return res.status(400).json({ error: `hours must be between 0 and ${SUSPENSION_MAX_HOURS}` });
+        }
+
+        const until = new Date(Date.now() + hours * HOUR_SECONDS * 1000).toISOString();
+        target.ban = { reason, by: actor.id, at: new Date().toISOString(), until };
+        store.users.save(target);
+        recordAudit(actor, 'user.suspend', { type: 'user', id: target.id }, { reason, details: { hours, until } });
+
+        res.json({ success: true, user: toAdminUser(target) });
+    } catch (error) {
+        console.error('Suspend error:', error);
+        res.status(500).json({ error: 'Failed to suspend user' });
+    }
+});
+
+// Lifts a ban or suspension early
+app.delete('/api/admin/users/:id/ban', (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderationTarget(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        if (!activeBan(target)) {
+            return res.status(409).json({ error: 'This account is not banned or suspended' });
+        }
+
+        const lifted = target.ban;
+        delete target.ban;
+        store.users.save(target);
+        recordAudit(actor, 'user.unban', { type: 'user', id: target.id }, { reason, details: { lifted } });
+
+        res.json({ success: true, user: toAdminUser(target) });
+    } catch (error) {
+        console.error('Unban error:', error);
+        res.status(500).json({ error: 'Failed to lift ban' });
+    }
+});
+
+app.post('/api/admin/users/:id/rename', async (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderationTarget(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { username } = req.body;
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Use 3-20 letters, numbers or underscores', fields: { username: 'Use 3-20 letters, numbers or underscores' } });
+        }
+        const owner = store.users.findByUsername(username);
+        if (owner && owner.id !== target.id) {
+            return res.status(409).json({ error: 'That username is taken', fields: { username: 'That username is taken' } });
+        }
+
+        const previous = target.username;
+        await renameUser(target, username);
+        recordAudit(actor, 'user.rename', { type: 'user', id: target.id }, { reason, details: { from: previous, to: username } });
+
+        res.json({ success: true, user: toAdminUser(target) });
+    } catch (error) {
+        console.error('Rename error:', error);
+        res.status(500).json({ error: 'Failed to rename user' });
+    }
+});
+
+app.put('/api/admin/users/:id/role', (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'admin');
+        if (!actor) return;
+        const target = moderationTarget(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { role } = req.body;
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+        }
+
+        const previous = roleOf(target);
+        target.role = role;
+        store.users.save(target);
+        recordAudit(actor, 'user.role', { type: 'user', id: target.id }, { reason, details: { from: previous, to: role } });
+
+        res.json({ success: true, user: toAdminUser(target) });
+    } catch (error) {
+        console.error('Role change error:', error);
+        res.status(500).json({ error: 'Failed to change role' });
+    }
+});
+
+// Score records, newest first. ?user= takes an id or username; voided
+// records are included and marked.
+app.get('/api/admin/scores', (req, res) => {
+    try {
+        if (!requireRole(req, res, 'moderator')) return;
+
+        let userId = null;
+        if (req.query.user) {
+            const user = store.users.get(req.query.user) || store.users.findByUsername(req.query.user);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            userId = user.id;
+        }
+        const game = req.query.game ? findGame(req.query.game) : null;
+        if (req.query.game && !game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_PAGE_SIZE, 1), ADMIN_PAGE_MAX);
+
+        const records = store.scores.allRecords()
+            .filter(r => !userId || r.userId === userId)
+            .filter(r => !game || r.game_name === game.id);
+
+        res.json({ total: records.length, scores: records.slice(-limit).reverse().map(toAdminScore) });
+    } catch (error) {
+        console.error('Admin scores error:', error);
+        res.status(500).json({ error: 'Failed to load scores' });
+    }
+});
+
+// The score record named in the route and its owner, or null once an error
+// has been sent. Scores of deleted accounts have no owner.
+function moderatedScore(req, res, actor) {
+    const record = store.scores.find(req.params.id);
+    if (!record) {
+        res.status(404).json({ error: 'Score not found' });
+        return null;
+    }
+    const owner = store.users.get(record.userId);
+    if (owner && !canModerate(actor, owner)) {
+        res.status(403).json({ error: 'You cannot moderate this account' });
+        return null;
+    }
+    return { record, owner };
+}
+
+// Keeps the record, marked, but it stops counting anywhere
+app.post('/api/admin/scores/:id/void', async (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderatedScore(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { record, owner } = target;
+        if (record.voided) {
+            return res.status(409).json({ error: 'This score is already void' });
+        }
+
+        if (owner) removeScoreFromTotals(owner, record);
+        record.voided = { reason, by: actor.id, at: new Date().toISOString() };
+        await store.scores.save();
+        if (owner) store.users.save(owner);
+        recordAudit(actor, 'score.void', { type: 'score', id: record.id }, { reason, details: toAdminScore(record) });
+
+        res.json({ success: true, score: toAdminScore(record), user: owner ? toAdminUser(owner) : null });
+    } catch (error) {
+        console.error('Void score error:', error);
+        res.status(500).json({ error: 'Failed to void score' });
+    }
+});
+
+// Removes the record outright. The audit entry keeps a copy.
+app.delete('/api/admin/scores/:id', async (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = moderatedScore(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { record, owner } = target;
+        // A void score is already out of the totals
+        if (owner && !record.voided) removeScoreFromTotals(owner, record);
+        await store.scores.remove(record.id);
+        if (owner) store.users.save(owner);
+        recordAudit(actor, 'score.delete', { type: 'score', id: record.id }, { reason, details: toAdminScore(record) });
+
+        res.json({ success: true, user: owner ? toAdminUser(owner) : null });
+    } catch (error) {
+        console.error('Delete score error:', error);
+        res.status(500).json({ error: 'Failed to delete score' });
+    }
+});
+
+// Scores the integrity checks held back. ?status=pending (default),
+// approved, rejected or all.
+app.get('/api/admin/flagged', (req, res) => {
+    try {
+        if (!requireRole(req, res, 'moderator')) return;
+
+        const status = req.query.status || 'pending';
+        const flagged = store.flaggedScores.all().filter(f => status === 'all' || f.status === status);
+        res.json({ total: flagged.length, flagged: flagged.slice(-ADMIN_PAGE_MAX).reverse() });
+    } catch (error) {
+        console.error('Flagged scores error:', error);
+        res.status(500).json({ error: 'Failed to load flagged scores' });
+    }
+});
+
+// The pending flagged score named in the route and its owner, or null once an
+// error has been sent
+function pendingFlag(req, res, actor) {
+    const flag = store.flaggedScores.find(req.params.id);
+    if (!flag) {
+        res.status(404).json({ error: 'Flagged score not found' });
+        return null;
+    }
+    if (flag.status !== 'pending') {
+        res.status(409).json({ error: `This score was already ${flag.status}` });
+        return null;
+    }
+    const owner = store.users.get(flag.userId);
+    if (owner && !canModerate(actor, owner)) {
+        res.status(403).json({ error: 'You cannot moderate this account' });
+        return null;
+    }
+    return { flag, owner };
+}
+
+// Accepts the score as if it had passed the checks when it was submitted
+app.post('/api/admin/flagged/:id/approve', async (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = pendingFlag(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { flag, owner } = target;
+        if (!owner) {
+            return res.status(404).json({ error: 'The player who set this score no longer exists' });
+        }
+
+        const { reasons: _, status: __, ...record } = flag;
+        applyScoreToUser(owner, record.game_name, record.score);
+        store.scores.append(record);
+        evaluateAchievements(owner);
+        store.users.save(owner);
+
+        Object.assign(flag, { status: 'approved', reviewed_by: actor.id, reviewed_at: new Date().toISOString(), review_reason: reason });
+        await store.flaggedScores.save();
+        recordAudit(actor, 'flagged.approve', { type: 'score', id: flag.id }, { reason, details: { flagged_for: flag.reasons } });
+
+        res.json({ success: true, flagged: flag, user: toAdminUser(owner) });
+    } catch (error) {
+        console.error('Approve score error:', error);
+        res.status(500).json({ error: 'Failed to approve score' });
+    }
+});
+
+app.post('/api/admin/flagged/:id/reject', async (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+        const target = pendingFlag(req, res, actor);
+        if (!target) return;
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { flag } = target;
+        Object.assign(flag, { status: 'rejected', reviewed_by: actor.id, reviewed_at: new Date().toISOString(), review_reason: reason });
+        await store.flaggedScores.save();
+        recordAudit(actor, 'flagged.reject', { type: 'score', id: flag.id }, { reason, details: { flagged_for: flag.reasons } });
+
+        res.json({ success: true, flagged: flag });
+    } catch (error) {
+        console.error('Reject score error:', error);
+        res.status(500).json({ error: 'Failed to reject score' });
+    }
+});
+
+// Fix a catalog entry without a deploy. Send only the fields to change,
+// plus a reason.
+app.patch('/api/admin/games/:id', (req, res) => {
+    try {
+        const actor = requireRole(req, res, 'moderator');
+        if (!actor) return;
+
+        const game = findGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        const reason = moderationReason(req, res);
+        if (!reason) return;
+
+        const { reason: _, ...changes } = req.body;
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: `Nothing to change. Editable fields: ${CATALOG_EDITABLE_FIELDS.join(', ')}` });
+        }
+        const fields = validateCatalogEdit(game, changes);
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Please fix the highlighted fields', fields });
+        }
+
+        const previous = {};
+        Object.keys(changes).forEach(field => { previous[field] = game[field] === undefined ? null : game[field]; });
+
+        const overrides = { ...store.catalogOverrides.get(game.id) };
+        Object.entries(changes).forEach(([field, value]) => {
+            if (value === null) {
+                delete overrides[field];
+            } else {
+                overrides[field] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+        store.catalogOverrides.put(game.id, overrides);
+        applyCatalogOverrides(game);
+        if ('file' in changes) checkCatalogFiles();
+
+        recordAudit(actor, 'game.edit', { type: 'game', id: game.id }, { reason, details: { from: previous, to: changes } });
+
+        res.json({ success: true, game: toPublicGame(game) });
+    } catch (error) {
+        console.error('Catalog edit error:', error);
+        res.status(500).json({ error: 'Failed to edit game' });
+    }
+});
+
+// Newest first. Filter with ?action=, ?actor= (username), ?target_type=,
+// ?target_id= and page back with ?before= (an entry's `at`).
+app.get('/api/admin/audit', (req, res) => {
+    try {
+        if (!requireRole(req, res, 'moderator')) return;
+
+        const { action, actor, target_type: targetType, target_id: targetId, before } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_PAGE_SIZE * 2, 1), ADMIN_PAGE_MAX);
+
+        const entries = store.auditLog.all()
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !actor || entry.actor.toLowerCase() === String(actor).toLowerCase())
+            .filter(entry => !targetType || entry.target_type === targetType)
+            .filter(entry => !targetId || entry.target_id === targetId)
+            .filter(entry => !before || entry.at < before);
+
+        res.json({ total: entries.length, entries: entries.slice(-limit).reverse() });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
 // ==========================================
-// ACHIEVEMENTS ROUTES
+// DISCORD BOT
 // ==========================================
 
-app.get('/api/user/achievements', (req, res) => {
-    try {
-        if (!req.session.userId) {
-            return res.status(401).json({ error: 'Not authenticated' });
+// Slash commands arrive as HTTP interactions at /api/discord/interactions.
+// Set DISCORD_PUBLIC_KEY to the application's public key from the Discord
+// developer portal; scripts/discord-harness.js can sign test requests locally.
+const DISCORD_PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY;
+const DISCORD_EMBED_COLOR = 0x00f3ff;
+
+const INTERACTION_TYPE = { PING: 1, APPLICATION_COMMAND: 2 };
+const INTERACTION_RESPONSE = { PONG: 1, CHANNEL_MESSAGE: 4 };
+const EPHEMERAL = 1 << 6;
+
+// Ed25519 keys arrive as 32 raw bytes; node wants them wrapped in SPKI DER
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const discordPublicKey = DISCORD_PUBLIC_KEY
+    ? crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(DISCORD_PUBLIC_KEY, 'hex')]),
+        format: 'der',
+        type: 'spki'
+    })
+    : null;
+
+function verifyDiscordRequest(req) {
+    const signature = req.get('X-Signature-Ed25519');
+    const timestamp = req.get('X-Signature-Timestamp');
+    if (!signature || !timestamp || !req.rawBody || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+
+    return crypto.verify(
+        null,
+        Buffer.concat([Buffer.from(timestamp), req.rawBody]),
+        discordPublicKey,
+        Buffer.from(signature, 'hex')
+    );
+}
+
+function commandOption(interaction, name) {
+    const option = ((interaction.data && interaction.data.options) || []).find(o => o.name === name);
+    return option ? option.value : undefined;
+}
+
+function discordMessage(data) {
+    return { type: INTERACTION_RESPONSE.CHANNEL_MESSAGE, data };
+}
+
+// Visible only to whoever ran the command
+function discordNotice(content) {
+    return discordMessage({ content, flags: EPHEMERAL });
+}
+
+function gameUrl(game) {
+    return `${SITE_URL}/game.html?game=${encodeURIComponent(game.id)}`;
+}
+
+// Loose lookup for typed game names: "snow line" finds SnowLine
+function findGameByName(query) {
+    const wanted = String(query || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!wanted) return null;
+    return findGame(query)
+        || GAME_CATALOG.find(g => g.id.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted)
+        || GAME_CATALOG.find(g => g.name.toLowerCase().replace(/[^a-z0-9]/g, '').includes(wanted))
+        || null;
+}
+
+const DISCORD_COMMANDS = {
+    play(interaction) {
+        const game = findGameByName(commandOption(interaction, 'game'));
+        if (!game || !isGameAvailable(game)) {
+            const suggestions = GAME_CATALOG.filter(isGameAvailable).slice(0, 5).map(g => `\`${g.id}\``).join(', ');
+            return discordNotice(`🎮 I couldn't find that game. Try one of: ${suggestions}`);
         }
 
-        const achievements = loadAchievements();
-        const userAchievements = achievements.filter(a => a.userId === req.session.userId);
+        const plays = store.plays.countForGame(game.id);
+        return discordMessage({
+            embeds: [{
+                title: `${game.icon} ${game.name}`,
+                url: gameUrl(game),
+                description: `**${game.tagline}**\n${game.description}`,
+                color: DISCORD_EMBED_COLOR,
+                thumbnail: { url: game.image },
+                fields: [
+                    { name: 'Creator', value: game.creator, inline: true },
+                    { name: 'Plays', value: plays.toLocaleString('en-US'), inline: true },
+                    { name: 'Play now', value: `[Open in the arcade](${gameUrl(game)})` }
+                ]
+            }]
+        });
+    },
 
-        // Return all achievements with unlock status
-        const allAchievements = [
-            { id: 1, name: 'First Score', description: 'Save your first game score', icon: '🎮', xp_reward: 50 },
-            { id: 2, name: 'Century', description: 'Reach 100 points in a single game', icon: '💯', xp_reward: 100 },
-            { id: 3, name: 'High Roller', description: 'Reach 500 total points', icon: '🎰', xp_reward: 200 },
-            { id: 4, name: 'Arcade Master', description: 'Reach level 10', icon: '👑', xp_reward: 500 },
-            { id: 5, name: 'Persistence', description: 'Play 50 games', icon: '💪', xp_reward: 300 }
-        ];
-
-        const achievementsWithStatus = allAchievements.map(ach => {
-            const unlocked = userAchievements.find(ua => ua.achievementId === ach.id);
-            return {
-                ...ach,
-                unlocked_at: unlocked ? unlocked.unlockedAt : null
-            };
+    stats(interaction) {
+        const invoker = (interaction.member && interaction.member.user) || interaction.user || {};
+        const discordId = commandOption(interaction, 'user') || invoker.id;
+        const user = discordId ? store.users.findByOAuth('discord', String(discordId)) : null;
+
+        if (!user) {
+            return discordNotice(discordId === invoker.id
+                ? `You haven't linked Discord to an arcade account yet. Log in at ${SITE_URL}/login.html with Discord or link it from your profile.`
+                : 'That player hasn\'t linked Discord to an arcade account yet.');
+        }
+
+        const favourite = Object.entries(user.game_plays || {}).sort((a, b) => b[1] - a[1])[0];
+        const favouriteGame = favourite ? findGame(favourite[0]) : null;
+
+        return discordMessage({
+            embeds: [{
+                title: `📊 ${user.username}`,
+                url: `${SITE_URL}/profile.html?user=${encodeURIComponent(user.username)}`,
+                color: DISCORD_EMBED_COLOR,
+                fields: [
+                    { name: 'Level', value: user.prestige ? `${user.level || 1} (P${user.prestige})` : String(user.level || 1), inline: true },
+                    { name: 'XP', value: (user.xp || 0).toLocaleString('en-US'), inline: true },
+                    { name: 'Total Score', value: (user.total_score || 0).toLocaleString('en-US'), inline: true },
+                    { name: 'Games Played', value: String(user.total_plays || 0), inline: true },
+                    { name: 'Achievements', value: `${store.achievements.forUser(user.id).length}/${ACHIEVEMENTS.length}`, inline: true },
+                    { name: 'Favourite Game', value: favouriteGame ? favouriteGame.name : '—', inline: true }
+                ]
+            }]
         });
+    },
 
-        res.json(achievementsWithStatus);
+    leaderboard(interaction) {
+        const query = commandOption(interaction, 'game');
+        const medal = rank => ['🥇', '🥈', '🥉'][rank - 1] || `#${rank}`;
+
+        if (query) {
+            const game = findGameByName(query);
+            if (!game) {
+                return discordNotice('🎮 I couldn\'t find that game.');
+            }
+
+            // Banned and suspended players are left off, as on the website
+            const scores = store.scores.forGame(game.id).filter(record => {
+                const owner = store.users.get(record.userId);
+                return !owner || !activeBan(owner);
+            });
+            const ranked = rankGameScores(scores, game.id, 'all').slice(0, 10);
+            return discordMessage({
+                embeds: [{
+                    title: `🏆 ${game.name} Leaderboard`,
+                    url: `${SITE_URL}/leaderboard.html`,
+                    color: DISCORD_EMBED_COLOR,
+                    description: ranked.length
+                        ? ranked.map(e => `${medal(e.rank)} **${e.username}** — ${e.score.toLocaleString('en-US')}`).join('\n')
+                        : 'No scores yet. Be the first!'
+                }]
+            });
+        }
+
+        const top = store.users.all()
+            .filter(user => !activeBan(user))
+            .sort((a, b) => (b.total_score || 0) - (a.total_score || 0))
+            .slice(0, 10);
+        return discordMessage({
+            embeds: [{
+                title: '🏆 Arcade Leaderboard',
+                url: `${SITE_URL}/leaderboard.html`,
+                color: DISCORD_EMBED_COLOR,
+                description: top.length
+                    ? top.map((u, i) => `${medal(i + 1)} **${u.username}** — ${(u.total_score || 0).toLocaleString('en-US')} pts • Lvl ${u.level || 1}`).join('\n')
+                    : 'No players yet!'
+            }]
+        });
+    }
+};
+
+app.post('/api/discord/interactions', (req, res) => {
+    try {
+        if (!discordPublicKey) {
+            return res.status(503).json({ error: 'Discord bot is not configured' });
+        }
+
+        if (!verifyDiscordRequest(req)) {
+            return res.status(401).json({ error: 'Invalid request signature' });
+        }
+
+        const interaction = req.body;
+
+        if (interaction.type === INTERACTION_TYPE.PING) {
+            return res.json({ type: INTERACTION_RESPONSE.PONG });
+        }
+
+        if (interaction.type === INTERACTION_TYPE.APPLICATION_COMMAND) {
+            const name = interaction.data && interaction.data.name;
+            const command = Object.prototype.hasOwnProperty.call(DISCORD_COMMANDS, name) ? DISCORD_COMMANDS[name] : null;
+            if (!command) {
+                return res.json(discordNotice('I don\'t know that command yet.'));
+            }
+
+            store.botStats.recordCommand(name, interaction.guild_id);
+            return res.json(command(interaction));
+        }
+
+        res.status(400).json({ error: 'Unsupported interaction type' });
     } catch (error) {
-        console.error('Achievements error:', error);
-        res.status(500).json({ error: 'Failed to load achievements' });
+        console.error('Discord interaction error:', error);
+        res.status(500).json({ error: 'Failed to handle interaction' });
+    }
+});
+
+app.get('/api/bot/stats', (req, res) => {
+    try {
+        const stats = store.botStats.get();
+        res.json({
+            servers: stats.guilds.length,
+            users: store.users.all().length,
+            games_played: store.plays.all().length,
+            commands_answered: stats.commands_answered,
+            games_available: GAME_CATALOG.filter(isGameAvailable).length
+        });
+    } catch (error) {
+        console.error('Bot stats error:', error);
+        res.status(500).json({ error: 'Failed to load bot stats' });
     }
 });
 
@@ -357,8 +5604,44 @@ app.use((err, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-    console.log(`Diane's Arcade server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    ensureDataDir();
+// `node server.js --recompute-xp [--dry-run]` rebuilds everyone's XP under
+// the current rules instead of starting the server
+async function runXpRecompute() {
+    const dryRun = process.argv.includes('--dry-run');
+    const changes = await recomputeAllXp({ dryRun });
+    changes.forEach(line => console.log(line));
+    console.log(`${changes.length} player(s) ${dryRun ? 'would change' : 'updated'}`);
+    await store.flush();
+    process.exit(0);
+}
+
+if (process.argv.includes('--recompute-xp')) {
+    runXpRecompute().catch(error => {
+        console.error('XP recompute failed:', error);
+        process.exit(1);
+    });
+} else {
+    app.listen(PORT, () => {
+        console.log(`Diane's Arcade server running on port ${PORT}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        GAME_CATALOG.forEach(applyCatalogOverrides);
+        checkCatalogFiles();
+        checkMovieCatalog();
+        migrateLegacyMovieViews();
+        grantPreShopItems();
+        assignScoreIds();
+        store.sessions.prune();
+        setInterval(() => store.sessions.prune(), SESSION_PRUNE_INTERVAL_MS).unref();
+        promoteConfiguredAdmins();
+        refreshChallenges();
+        setInterval(settleTournaments, TOURNAMENT_SETTLE_INTERVAL_MS).unref();
+    });
+}
+
+// Writes are queued in the background, so make sure they land before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        store.flushSync();
+        process.exit(0);
+    });
 });
@@ -0,0 +1,894 @@
+// ==========================================
+// Diane's Arcade - Storage Layer
+// Repositories over a pluggable backend
+// ==========================================
+//
+// server.js never touches data files directly. It talks to the repositories
+// returned by createStorage(), which sit on top of a backend exposing two
+// primitives:
+//
+//   backend.document(name, defaultValue) -> { get(), save(), flush(), flushSync() }
+//       A single JSON value kept in memory and persisted as a whole. Names
+//       may have a prefix ("cloud_saves/123") to keep one per user.
+//   backend.log(name, { legacyFile })    -> { all(), append(record), rewrite(records), flush(), flushSync() }
+//       An append-only list of records.
+//
+// JsonFileBackend below is the default. Another backend (e.g. embedded
+// SQLite) only needs to provide the same two primitives.
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// JSON FILE BACKEND
+// ==========================================
+
+let tmpCounter = 0;
+
+// Each write gets its own temp file so a sync flush can't collide with an
+// async write still in flight
+function tmpPathFor(file) {
+    tmpCounter += 1;
+    return `${file}.${process.pid}.${tmpCounter}.tmp`;
+}
+
+// Write to a temp file and rename over the target, so a crash mid-write
+// leaves the previous version intact instead of a truncated file
+function writeFileAtomicSync(file, contents) {
+    const tmp = tmpPathFor(file);
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, file);
+}
+
+async function writeFileAtomic(file, contents) {
+    const tmp = tmpPathFor(file);
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, file);
+}
+
+// A JSON value cached in memory. save() only marks it dirty; writes are
+// coalesced and never overlap, so the file always holds a complete snapshot
+// of the latest state.
+class JsonDocument {
+    constructor(file, defaultValue) {
+        this.file = file;
+        this.value = this.load(defaultValue);
+        this.dirty = false;
+        this.writing = null;
+    }
+
+    load(defaultValue) {
+        if (!fs.existsSync(this.file)) {
+            return defaultValue;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (e) {
+            // Keep the unreadable file around for inspection rather than overwrite it
+            const corrupt = `${this.file}.corrupt-${Date.now()}`;
+            console.error(`Error loading ${path.basename(this.file)}, moved to ${corrupt}:`, e);
+            fs.renameSync(this.file, corrupt);
+            return defaultValue;
+        }
+    }
+
+    get() {
+        return this.value;
+    }
+
+    set(value) {
+        this.value = value;
+        this.save();
+    }
+
+    save() {
+        this.dirty = true;
+        if (!this.writing) {
+            this.writing = this.writeLoop();
+        }
+        return this.writing;
+    }
+
+    async writeLoop() {
+        try {
+            while (this.dirty) {
+                this.dirty = false;
+                await writeFileAtomic(this.file, JSON.stringify(this.value, null, 2));
+            }
+        } catch (e) {
+            console.error(`Error saving ${path.basename(this.file)}:`, e);
+        } finally {
+            this.writing = null;
+        }
+    }
+
+    flush() {
+        return this.writing || Promise.resolve();
+    }
+
+    flushSync() {
+        if (this.dirty || this.writing) {
+            this.dirty = false;
+            writeFileAtomicSync(this.file, JSON.stringify(this.value, null, 2));
+        }
+    }
+}
+
+// Newline-delimited JSON. Appends never rewrite earlier records, so the file
+// can grow without each write costing more than the last. Appends and
+// rewrites share one write loop, so an append made while a rewrite is in
+// flight lands in the new file rather than the one being replaced.
+class JsonLog {
+    constructor(file, { legacyFile } = {}) {
+        this.file = file;
+        this.pending = [];
+        this.replacement = null;
+        this.writing = null;
+        this.records = this.load(legacyFile);
+    }
+
+    load(legacyFile) {
+        // One-off migration from the old whole-file JSON array
+        if (!fs.existsSync(this.file) && legacyFile && fs.existsSync(legacyFile)) {
+            try {
+                const records = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+                writeFileAtomicSync(this.file, records.map(r => JSON.stringify(r) + '\n').join(''));
+                fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+                console.log(`Migrated ${records.length} records from ${path.basename(legacyFile)}`);
+            } catch (e) {
+                console.error(`Error migrating ${path.basename(legacyFile)}:`, e);
+            }
+        }
+
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+
+        const records = [];
+        fs.readFileSync(this.file, 'utf8').split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // Most likely a torn final line from a crash mid-append
+                console.error(`Skipping unreadable line ${index + 1} in ${path.basename(this.file)}`);
+            }
+        });
+        return records;
+    }
+
+    all() {
+        return this.records;
+    }
+
+    append(record) {
+        this.records.push(record);
+        this.pending.push(JSON.stringify(record) + '\n');
+        this.scheduleWrite();
+        return record;
+    }
+
+    scheduleWrite() {
+        if (!this.writing) {
+            this.writing = this.writeLoop();
+        }
+        return this.writing;
+    }
+
+    // A queued rewrite always goes first: it already holds every record
+    // appended before it, and anything appended since is still in pending
+    async writeLoop() {
+        try {
+            while (this.replacement !== null || this.pending.length > 0) {
+                if (this.replacement !== null) {
+                    const contents = this.replacement;
+                    this.replacement = null;
+                    await writeFileAtomic(this.file, contents);
+                } else {
+                    const chunk = this.pending.join('');
+                    this.pending = [];
+                    await fs.promises.appendFile(this.file, chunk);
+                }
+            }
+        } catch (e) {
+            console.error(`Error writing ${path.basename(this.file)}:`, e);
+        } finally {
+            this.writing = null;
+        }
+    }
+
+    // Replace the whole log, e.g. to compact it. Takes effect in memory
+    // immediately; the returned promise settles once it's on disk.
+    rewrite(records) {
+        this.records = records;
+        this.pending = [];
+        this.replacement = records.map(r => JSON.stringify(r) + '\n').join('');
+        return this.scheduleWrite();
+    }
+
+    flush() {
+        return this.writing || Promise.resolve();
+    }
+
+    flushSync() {
+        if (this.replacement !== null) {
+            writeFileAtomicSync(this.file, this.replacement);
+            this.replacement = null;
+        }
+        if (this.pending.length > 0) {
+            fs.appendFileSync(this.file, this.pending.join(''));
+            this.pending = [];
+        }
+    }
+}
+
+class JsonFileBackend {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.stores = [];
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    document(name, defaultValue) {
+        const file = path.join(this.dataDir, `${name}.json`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const store = new JsonDocument(file, defaultValue);
+        this.stores.push(store);
+        return store;
+    }
+
+    log(name, { legacyFile } = {}) {
+        const store = new JsonLog(path.join(this.dataDir, `${name}.log`), {
+            legacyFile: legacyFile && path.join(this.dataDir, legacyFile)
+        });
+        this.stores.push(store);
+        return store;
+    }
+
+    flush() {
+        return Promise.all(this.stores.map(s => s.flush()));
+    }
+
+    flushSync() {
+        this.stores.forEach(s => s.flushSync());
+    }
+}
+
+// ==========================================
+// REPOSITORIES
+// ==========================================
+
+function conflictError(message) {
+    const error = new Error(message);
+    error.code = 'CONFLICT';
+    return error;
+}
+
+function createUserRepository(backend) {
+    const doc = backend.document('users', {});
+
+    return {
+        get(userId) {
+            return doc.get()[userId] || null;
+        },
+
+        all() {
+            return Object.values(doc.get());
+        },
+
+        findByEmail(email) {
+            const wanted = String(email).toLowerCase();
+            return this.all().find(u => u.email && u.email.toLowerCase() === wanted) || null;
+        },
+
+        findByUsername(username) {
+            const wanted = String(username).toLowerCase();
+            return this.all().find(u => u.username.toLowerCase() === wanted) || null;
+        },
+
+        // The user a provider identity is linked to (see user.oauth)
+        findByOAuth(provider, providerUserId) {
+            return this.all().find(u => u.oauth && u.oauth[provider] && u.oauth[provider].id === providerUserId) || null;
+        },
+
+        // Uniqueness is checked here, synchronously, so two registrations
+        // racing through an await cannot both claim the same name
+        create(user) {
+            if (this.findByEmail(user.email)) {
+                throw conflictError('Email already exists');
+            }
+            if (this.findByUsername(user.username)) {
+                throw conflictError('Username already exists');
+            }
+            doc.get()[user.id] = user;
+            doc.save();
+            return user;
+        },
+
+        // Users are handed out by reference; call save() after mutating one
+        save(user) {
+            doc.get()[user.id] = user;
+            return doc.save();
+        },
+
+        remove(userId) {
+            delete doc.get()[userId];
+            return doc.save();
+        }
+    };
+}
+
+// Voided scores stay in the log so moderators can see what was removed, but
+// all(), forUser() and forGame() leave them out so they count for nothing
+function createScoreRepository(backend) {
+    const log = backend.log('scores', { legacyFile: 'scores.json' });
+    const live = () => log.all().filter(r => !r.voided);
+
+    return {
+        all() {
+            return live();
+        },
+
+        // Voided records included
+        allRecords() {
+            return log.all();
+        },
+
+        find(scoreId) {
+            return log.all().find(r => r.id === scoreId) || null;
+        },
+
+        forUser(userId) {
+            return live().filter(r => r.userId === userId);
+        },
+
+        forGame(gameId) {
+            return live().filter(r => r.game_name === gameId);
+        },
+
+        append(record) {
+            return log.append(record);
+        },
+
+        // Records are handed out by reference; call save() after mutating
+        // one. Passing the live array keeps appends made while it writes.
+        save() {
+            return log.rewrite(log.all());
+        },
+
+        remove(scoreId) {
+            const records = log.all();
+            const index = records.findIndex(r => r.id === scoreId);
+            if (index !== -1) records.splice(index, 1);
+            return log.rewrite(records);
+        },
+
+        rewrite(records) {
+            return log.rewrite(records);
+        }
+    };
+}
+
+function createAchievementRepository(backend) {
+    const log = backend.log('achievements', { legacyFile: 'achievements.json' });
+
+    return {
+        all() {
+            return log.all();
+        },
+
+        forUser(userId) {
+            return log.all().filter(u => u.userId === userId);
+        },
+
+        has(userId, achievementId) {
+            return log.all().some(u => u.userId === userId && u.achievementId === achievementId);
+        },
+
+        // Returns the unlock record, or null if the user already had it.
+        // Imported unlocks are marked so nothing pays out for them later.
+        unlock(userId, achievementId, unlockedAt = new Date().toISOString(), { imported = false } = {}) {
+            if (this.has(userId, achievementId)) {
+                return null;
+            }
+            return log.append(imported ? { userId, achievementId, unlockedAt, imported } : { userId, achievementId, unlockedAt });
+        }
+    };
+}
+
+function createPlayRepository(backend) {
+    const log = backend.log('plays', { legacyFile: 'plays.json' });
+
+    return {
+        all() {
+            return log.all();
+        },
+
+        forUser(userId) {
+            return log.all().filter(p => p.userId === userId);
+        },
+
+        countForGame(gameId) {
+            return log.all().filter(p => p.game_id === gameId).length;
+        },
+
+        // game id -> plays, in one pass for the whole catalog
+        countsByGame() {
+            const counts = {};
+            log.all().forEach(p => { counts[p.game_id] = (counts[p.game_id] || 0) + 1; });
+            return counts;
+        },
+
+        append(record) {
+            return log.append(record);
+        }
+    };
+}
+
+// Finished play sessions with the active time heartbeats credited to them
+function createPlaySessionRepository(backend) {
+    const log = backend.log('play_sessions');
+
+    return {
+        forUser(userId) {
+            return log.all().filter(s => s.userId === userId);
+        },
+
+        append(record) {
+            return log.append(record);
+        }
+    };
+}
+
+// Scores held back by the integrity checks until someone reviews them
+function createFlaggedScoreRepository(backend) {
+    const log = backend.log('flagged_scores');
+
+    return {
+        all() {
+            return log.all();
+        },
+
+        pending() {
+            return log.all().filter(f => f.status === 'pending');
+        },
+
+        find(flagId) {
+            return log.all().find(f => f.id === flagId) || null;
+        },
+
+        append(record) {
+            return log.append(record);
+        },
+
+        // After a review changes a record's status
+        save() {
+            return log.rewrite(log.all());
+        }
+    };
+}
+
+// Star ratings, one per player per game: { [gameId]: { [userId]: { stars, rated_at } } }
+function createRatingRepository(backend) {
+    const doc = backend.document('ratings', {});
+
+    return {
+        get(gameId, userId) {
+            const ratings = doc.get()[gameId];
+            return (ratings && ratings[userId]) || null;
+        },
+
+        // Average stars and how many players rated
+        summary(gameId) {
+            const ratings = Object.values(doc.get()[gameId] || {});
+            const total = ratings.reduce((sum, r) => sum + r.stars, 0);
+            return { average: ratings.length > 0 ? total / ratings.length : null, count: ratings.length };
+        },
+
+        // Every rating the user has given: [{ game_id, stars, rated_at }]
+        forUser(userId) {
+            return Object.entries(doc.get())
+                .filter(([, ratings]) => ratings[userId])
+                .map(([gameId, ratings]) => ({ game_id: gameId, ...ratings[userId] }));
+        },
+
+        put(gameId, userId, stars) {
+            if (!doc.get()[gameId]) doc.get()[gameId] = {};
+            const rating = { stars, rated_at: new Date().toISOString() };
+            doc.get()[gameId][userId] = rating;
+            doc.save();
+            return rating;
+        },
+
+        remove(gameId, userId) {
+            const ratings = doc.get()[gameId];
+            if (!ratings || !ratings[userId]) return false;
+            delete ratings[userId];
+            doc.save();
+            return true;
+        }
+    };
+}
+
+// Every moderator and admin action, oldest first. Never rewritten.
+function createAuditLogRepository(backend) {
+    const log = backend.log('audit_log');
+
+    return {
+        all() {
+            return log.all();
+        },
+
+        append(record) {
+            return log.append(record);
+        }
+    };
+}
+
+// Edits made to GAME_CATALOG entries through the admin API, keyed by game id.
+// Only the changed fields are kept, so server.js defaults still apply to the rest.
+function createCatalogOverrideRepository(backend) {
+    const doc = backend.document('catalog_overrides', {});
+
+    return {
+        get(gameId) {
+            return doc.get()[gameId] || {};
+        },
+
+        put(gameId, fields) {
+            if (Object.keys(fields).length > 0) {
+                doc.get()[gameId] = fields;
+            } else {
+                delete doc.get()[gameId];
+            }
+            return doc.save();
+        }
+    };
+}
+
+// Login sessions by session id, so players stay signed in across restarts.
+// Each record is the session as express-session hands it over plus the time
+// it expires; get() returns a copy because the caller mutates what it gets.
+function createSessionRepository(backend) {
+    const doc = backend.document('sessions', {});
+
+    return {
+        get(sessionId, now = Date.now()) {
+            const record = doc.get()[sessionId];
+            if (!record || record.expires <= now) return null;
+            return JSON.parse(JSON.stringify(record.session));
+        },
+
+        put(sessionId, session, expires) {
+            doc.get()[sessionId] = { session: JSON.parse(JSON.stringify(session)), expires };
+            return doc.save();
+        },
+
+        // Skips the write unless the expiry moves forward by at least minStepMs
+        touch(sessionId, expires, minStepMs = 0) {
+            const record = doc.get()[sessionId];
+            if (!record || expires - record.expires < minStepMs) return Promise.resolve();
+            record.expires = expires;
+            return doc.save();
+        },
+
+        remove(sessionId) {
+            delete doc.get()[sessionId];
+            return doc.save();
+        },
+
+        // Drops expired sessions and returns how many went
+        prune(now = Date.now()) {
+            const sessions = doc.get();
+            const expired = Object.keys(sessions).filter(id => sessions[id].expires <= now);
+            expired.forEach(id => { delete sessions[id]; });
+            if (expired.length > 0) doc.save();
+            return expired.length;
+        }
+    };
+}
+
+// Every coin earned or spent. A user's balance is the sum of their entries;
+// user.coins is only a cached copy of it.
+function createCoinLedgerRepository(backend) {
+    const log = backend.log('coin_ledger');
+
+    return {
+        forUser(userId) {
+            return log.all().filter(t => t.userId === userId);
+        },
+
+        balanceFor(userId) {
+            return this.forUser(userId).reduce((sum, t) => sum + t.amount, 0);
+        },
+
+        append(record) {
+            return log.append(record);
+        }
+    };
+}
+
+// Every XP grant with its source. A user's XP since their last prestige is
+// the sum of their entries after it; user.xp is only a cached copy.
+function createXpLedgerRepository(backend) {
+    const log = backend.log('xp_ledger');
+
+    return {
+        forUser(userId) {
+            return log.all().filter(g => g.userId === userId);
+        },
+
+        append(record) {
+            return log.append(record);
+        },
+
+        // Only for rebuilding the whole ledger (see --recompute-xp)
+        rewrite(records) {
+            return log.rewrite(records);
+        }
+    };
+}
+
+// Cloud copies of game saves, one record per user, game and slot. Each
+// record holds the current data and a few earlier versions. Every user gets
+// their own document, loaded the first time it's needed, so an upload only
+// rewrites that player's saves.
+function createCloudSaveRepository(backend) {
+    const docs = new Map();
+    const keyFor = (gameId, slot) => `${gameId}:${slot}`;
+
+    const docFor = userId => {
+        if (!docs.has(userId)) {
+            docs.set(userId, backend.document(`cloud_saves/${userId}`, {}));
+        }
+        return docs.get(userId);
+    };
+
+    // One-off migration from the single document every user shared
+    const legacy = backend.document('cloud_saves', {});
+    const legacySaves = Object.values(legacy.get());
+    if (legacySaves.length > 0) {
+        legacySaves.forEach(save => {
+            docFor(save.userId).get()[keyFor(save.gameId, save.slot)] = save;
+        });
+        docs.forEach(doc => doc.save());
+        legacy.set({});
+        console.log(`Moved ${legacySaves.length} cloud saves into per-user files`);
+    }
+
+    return {
+        get(userId, gameId, slot) {
+            return docFor(userId).get()[keyFor(gameId, slot)] || null;
+        },
+
+        forUser(userId) {
+            return Object.values(docFor(userId).get());
+        },
+
+        put(save) {
+            const doc = docFor(save.userId);
+            doc.get()[keyFor(save.gameId, save.slot)] = save;
+            doc.save();
+            return save;
+        }
+    };
+}
+
+// Password reset tokens, keyed by the SHA-256 of the token so a leaked data
+// file can't be used to reset anyone's password
+function createPasswordResetRepository(backend) {
+    const doc = backend.document('password_resets', {});
+
+    const isLive = (reset, now) => !reset.usedAt && new Date(reset.expiresAt).getTime() > now;
+
+    return {
+        create(tokenHash, { userId, expiresAt }) {
+            const resets = doc.get();
+            const now = Date.now();
+            Object.keys(resets).forEach(hash => {
+                if (!isLive(resets[hash], now)) delete resets[hash];
+            });
+            resets[tokenHash] = { userId, createdAt: new Date(now).toISOString(), expiresAt, usedAt: null };
+            doc.save();
+        },
+
+        // The reset if it exists, is unused and hasn't expired
+        findValid(tokenHash) {
+            const reset = doc.get()[tokenHash];
+            return reset && isLive(reset, Date.now()) ? reset : null;
+        },
+
+        // Marks every outstanding token for the user as used
+        consumeForUser(userId) {
+            const now = new Date().toISOString();
+            Object.values(doc.get()).forEach(reset => {
+                if (reset.userId === userId && !reset.usedAt) reset.usedAt = now;
+            });
+            doc.save();
+        }
+    };
+}
+
+// Friend requests, friendships and blocks between users. A link is a
+// request from `from` to `to` until it's accepted.
+function createFriendRepository(backend) {
+    const doc = backend.document('friends', { links: [], blocks: [] });
+
+    const between = (a, b) => l => (l.from === a && l.to === b) || (l.from === b && l.to === a);
+
+    return {
+        // How `viewerId` relates to `otherId`: none, friends, request_sent,
+        // request_received, blocked (by the viewer) or blocked_by
+        relationship(viewerId, otherId) {
+            const { links, blocks } = doc.get();
+            if (blocks.some(b => b.blocker === viewerId && b.blocked === otherId)) return 'blocked';
+            if (blocks.some(b => b.blocker === otherId && b.blocked === viewerId)) return 'blocked_by';
+
+            const link = links.find(between(viewerId, otherId));
+            if (!link) return 'none';
+            if (link.status === 'accepted') return 'friends';
+            return link.from === viewerId ? 'request_sent' : 'request_received';
+        },
+
+        find(a, b) {
+            return doc.get().links.find(between(a, b)) || null;
+        },
+
+        request(fromId, toId) {
+            const link = { from: fromId, to: toId, status: 'pending', created_at: new Date().toISOString(), accepted_at: null };
+            doc.get().links.push(link);
+            doc.save();
+            return link;
+        },
+
+        accept(fromId, toId) {
+            const link = doc.get().links.find(l => l.from === fromId && l.to === toId && l.status === 'pending');
+            if (!link) return null;
+            link.status = 'accepted';
+            link.accepted_at = new Date().toISOString();
+            doc.save();
+            return link;
+        },
+
+        // Drops a friendship or a request in either direction
+        remove(a, b) {
+            const data = doc.get();
+            const before = data.links.length;
+            data.links = data.links.filter(l => !between(a, b)(l));
+            doc.save();
+            return data.links.length < before;
+        },
+
+        block(blockerId, blockedId) {
+            const data = doc.get();
+            data.links = data.links.filter(l => !between(blockerId, blockedId)(l));
+            if (!data.blocks.some(b => b.blocker === blockerId && b.blocked === blockedId)) {
+                data.blocks.push({ blocker: blockerId, blocked: blockedId, created_at: new Date().toISOString() });
+            }
+            doc.save();
+        },
+
+        unblock(blockerId, blockedId) {
+            const data = doc.get();
+            const before = data.blocks.length;
+            data.blocks = data.blocks.filter(b => !(b.blocker === blockerId && b.blocked === blockedId));
+            doc.save();
+            return data.blocks.length < before;
+        },
+
+        // Accepted links involving the user
+        friendshipsOf(userId) {
+            return doc.get().links.filter(l => l.status === 'accepted' && (l.from === userId || l.to === userId));
+        },
+
+        friendIdsOf(userId) {
+            return this.friendshipsOf(userId).map(l => (l.from === userId ? l.to : l.from));
+        },
+
+        incoming(userId) {
+            return doc.get().links.filter(l => l.status === 'pending' && l.to === userId);
+        },
+
+        outgoing(userId) {
+            return doc.get().links.filter(l => l.status === 'pending' && l.from === userId);
+        },
+
+        blockedBy(userId) {
+            return doc.get().blocks.filter(b => b.blocker === userId);
+        }
+    };
+}
+
+// The game of the day for each date, and every weekend tournament with its
+// entrants and, once closed, its frozen standings
+function createChallengeRepository(backend) {
+    const doc = backend.document('challenges', { daily: {}, tournaments: [] });
+
+    return {
+        daily(date) {
+            return doc.get().daily[date] || null;
+        },
+
+        allDaily() {
+            return Object.values(doc.get().daily);
+        },
+
+        putDaily(challenge) {
+            doc.get().daily[challenge.date] = challenge;
+            doc.save();
+            return challenge;
+        },
+
+        tournaments() {
+            return doc.get().tournaments;
+        },
+
+        findTournament(id) {
+            return doc.get().tournaments.find(t => t.id === id) || null;
+        },
+
+        addTournament(tournament) {
+            doc.get().tournaments.push(tournament);
+            doc.save();
+            return tournament;
+        },
+
+        // For changes made to a record returned above
+        save() {
+            doc.save();
+        }
+    };
+}
+
+// Running totals for the Discord bot
+function createBotStatsRepository(backend) {
+    const doc = backend.document('bot_stats', { commands_answered: 0, commands: {}, guilds: [] });
+
+    return {
+        get() {
+            return doc.get();
+        },
+
+        recordCommand(commandName, guildId) {
+            const stats = doc.get();
+            stats.commands_answered += 1;
+            stats.commands[commandName] = (stats.commands[commandName] || 0) + 1;
+            if (guildId && !stats.guilds.includes(guildId)) {
+                stats.guilds.push(guildId);
+            }
+            doc.save();
+        }
+    };
+}
+
+function createStorage(backend) {
+    return {
+        backend,
+        users: createUserRepository(backend),
+        scores: createScoreRepository(backend),
+        achievements: createAchievementRepository(backend),
+        plays: createPlayRepository(backend),
+        playSessions: createPlaySessionRepository(backend),
+        flaggedScores: createFlaggedScoreRepository(backend),
+        auditLog: createAuditLogRepository(backend),
+        catalogOverrides: createCatalogOverrideRepository(backend),
+        ratings: createRatingRepository(backend),
+        coins: createCoinLedgerRepository(backend),
+        xpLedger: createXpLedgerRepository(backend),
+        cloudSaves: createCloudSaveRepository(backend),
+        passwordResets: createPasswordResetRepository(backend),
+        sessions: createSessionRepository(backend),
+        botStats: createBotStatsRepository(backend),
+        friends: createFriendRepository(backend),
+        challenges: createChallengeRepository(backend),
+        flush: () => backend.flush(),
+        flushSync: () => backend.flushSync()
+    };
+}
+
+module.exports = {
+    createStorage,
+    JsonFileBackend
+};
@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACHIEVEMENTS, buildAchievementStats } = require('../achievements');
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLAYER = 'player';
+
+const GAMES = [
+    { id: 'robotunicornattack', available: true, trusted: true, scoreless: false, max_score: null },
+    { id: 'SnowLine2', available: true, trusted: true, scoreless: false, max_score: null },
+    { id: 'gunblood', available: true, trusted: false, scoreless: false, max_score: null },
+    { id: 'candymachine', available: true, trusted: false, scoreless: false, max_score: null },
+    { id: 'jawbreaker', available: true, trusted: false, scoreless: false, max_score: null },
+    { id: 'tomandjerrybowling', available: true, trusted: false, scoreless: false, max_score: 300 },
+    { id: 'motherload', available: true, trusted: false, scoreless: true, max_score: null },
+    { id: 'raftwars', available: true, trusted: false, scoreless: true, max_score: null },
+    { id: 'raftwars2', available: true, trusted: false, scoreless: true, max_score: null },
+    { id: 'earntodie', available: true, trusted: false, scoreless: true, max_score: null },
+    { id: 'hive-hero', available: true, trusted: false, scoreless: true, max_score: null },
+    // Missing from games/, so nobody can play it
+    { id: 'earntodie2012', available: false, trusted: false, scoreless: true, max_score: null },
+    { id: 'happywheels', available: false, trusted: true, scoreless: false, max_score: null }
+];
+
+// Noon local time, `days` after 1 March 2025
+function day(days, hour = 12) {
+    return new Date(2025, 2, 1 + days, hour);
+}
+
+function makeUser(overrides = {}) {
+    return { id: PLAYER, username: PLAYER, level: 1, xp: 0, registered_at: new Date(Date.now() - DAY_MS).toISOString(), ...overrides };
+}
+
+function makeRecords(overrides = {}) {
+    return {
+        scores: [],
+        plays: [],
+        unlocks: [],
+        unlockedCount: 0,
+        games: GAMES,
+        friendLinks: [],
+        tournaments: [],
+        dailyChallenges: [],
+        cloudSaves: [],
+        ratings: [],
+        moviesWatched: 0,
+        movieCount: 10,
+        coinsEarned: 0,
+        arcadeOpenedAt: Date.now() - 365 * DAY_MS,
+        levelCap: 50,
+        ...overrides
+    };
+}
+
+function score(game, points, { at = day(0), userId = PLAYER, ...extra } = {}) {
+    return { userId, game_name: game, score: points, timestamp: at.toISOString(), autoTracked: true, play_seconds: 600, ...extra };
+}
+
+function play(game, at = day(0), userId = PLAYER) {
+    return { userId, game_id: game, timestamp: at.toISOString() };
+}
+
+// Runs in one game, each better than the last
+function improvingRuns(count, { game = 'robotunicornattack', at = i => day(i) } = {}) {
+    return Array.from({ length: count }, (_, i) => score(game, (i + 1) * 100, { at: at(i) }));
+}
+
+// A friend request the player sent and `friendId` accepted
+function friendship(friendId, { acceptedAt = day(0) } = {}) {
+    return { from: PLAYER, to: friendId, status: 'accepted', created_at: acceptedAt.toISOString(), accepted_at: acceptedAt.toISOString() };
+}
+
+function friends(count, options) {
+    return Array.from({ length: count }, (_, i) => friendship(`friend${i}`, options));
+}
+
+function tournament(id, entrants, standings = null) {
+    return { id, game_id: 'robotunicornattack', entrants: entrants.map(userId => ({ userId })), standings };
+}
+
+function playtime(overrides) {
+    return { total_seconds: 0, games: {}, hours: new Array(24).fill(0), longest_session_seconds: 0, ...overrides };
+}
+
+function hoursPlayed(hour) {
+    const hours = new Array(24).fill(0);
+    hours[hour] = 120;
+    return playtime({ hours });
+}
+
+function best(points) {
+    return { score: points, date: day(0).toISOString() };
+}
+
+const everyPlayableGame = Object.fromEntries(GAMES.filter(g => g.available).map(g => [g.id, 1]));
+const scorelessGames = GAMES.filter(g => g.available && g.scoreless).map(g => g.id);
+
+// The smallest record of play that earns each achievement
+const UNLOCKS = {
+    annie_hall: { user: { total_plays: 1 } },
+    first_steps: {},
+    coffee_break: { user: { total_plays: 5 } },
+    godfather: { user: { level: 10 } },
+    godfather_2: { user: { level: 20 } },
+    manhattan: { user: { level: 25 } },
+    marvins_room: { user: { level: 50 } },
+    century: { user: { prestige: 1, level: 50 } },
+    something_gotta_give: { user: { total_score: 10000 } },
+    big_score: { user: { total_score: 50000 } },
+    mega_score: { user: { total_score: 100000 } },
+    legendary: { user: { total_score: 1000000 } },
+    reds: { records: { unlockedCount: 20 } },
+    first_wives_club: { user: { high_scores: { robotunicornattack: best(10), SnowLine2: best(10) } } },
+    baby_boom: { records: { scores: improvingRuns(5, { at: i => day(0, 8 + i) }) } },
+    father_bride: { user: { total_plays: 100 } },
+    father_bride_2: { user: { total_plays: 200 } },
+    manhattan_murder: { user: { game_plays: everyPlayableGame } },
+    sleeper: { user: { playtime: playtime({ total_seconds: 24 * HOUR_SECONDS }) } },
+    interiors: { user: { banner: 'banner.png' } },
+    night_owl: { user: { playtime: hoursPlayed(3) } },
+    morning_glory: { user: { playtime: hoursPlayed(7) } },
+    play_again_sam: { user: { game_plays: { gunblood: 10 } } },
+    never_give_up: { records: { plays: Array.from({ length: 7 }, (_, i) => play('gunblood', day(i))) } },
+    love_death: { records: { scores: [score('gunblood', 1000), ...Array.from({ length: 100 }, (_, i) => score('gunblood', 10, { at: day(i + 1) }))] } },
+    town_country: { records: { cloudSaves: [{ device: 'Win32 · a', history: [{ device: 'MacIntel · b' }] }] } },
+    radio_days: { user: { playtime: playtime({ longest_session_seconds: 10 * HOUR_SECONDS }) } },
+    shoot_moon: { records: { scores: [score('tomandjerrybowling', 300)] } },
+    flawless: { records: { scores: improvingRuns(3) } },
+    speed_demon: { records: { scores: [score('robotunicornattack', 100, { play_seconds: 120 })] } },
+    good_mother: { records: { friendLinks: friends(50) } },
+    social_butterfly: { records: { friendLinks: friends(10) } },
+    helpful: { records: { ratings: Array.from({ length: 10 }, (_, i) => ({ game_id: `game${i}`, stars: 3 })) } },
+    hanging_up: { records: { friendLinks: Array.from({ length: 25 }, (_, i) => ({ from: PLAYER, to: `stranger${i}`, status: 'pending' })) } },
+    book_club: { user: { favorites: ['a', 'b', 'c', 'd', 'e'].map(id => ({ game_id: id })) } },
+    mars_miner: { user: { playtime: playtime({ games: { motherload: HOUR_SECONDS } }) } },
+    unicorn_master: { user: { high_scores: { robotunicornattack: best(100000) } } },
+    zombie_hunter: { user: { game_plays: { earntodie: 1 } } },
+    quick_draw: { user: { game_plays: { gunblood: 10 } } },
+    raft_champion: { user: { game_plays: { raftwars: 1, raftwars2: 1 } } },
+    movie_night: { records: { moviesWatched: 5 } },
+    collector: { records: { unlockedCount: 10 } },
+    hoarder: { records: { coinsEarned: 10000 } },
+    millionaire: { records: { coinsEarned: 1000000 } },
+    weekend_warrior: { records: { plays: Array.from({ length: 7 }, (_, i) => play('gunblood', day(i))) } },
+    marathon: { user: { playtime: playtime({ longest_session_seconds: 6 * HOUR_SECONDS }) } },
+    daily_player: { records: { plays: Array.from({ length: 30 }, (_, i) => play('gunblood', day(i))) } },
+    five_easy_pieces: { records: { scores: [...improvingRuns(3), ...improvingRuns(2, { game: 'SnowLine2', at: i => day(10 + i) })] } },
+    easter_egg: { user: { game_plays: Object.fromEntries(scorelessGames.slice(0, 5).map(id => [id, 1])) } },
+    lucky_seven: { records: { scores: [score('gunblood', 7777)] } },
+    other_sister: {
+        records: {
+            friendLinks: [friendship('kay', { acceptedAt: day(0) })],
+            unlocks: [{ userId: 'kay', achievementId: 'annie_hall', unlockedAt: day(1).toISOString() }]
+        }
+    },
+    diane_fan: { records: { moviesWatched: 10, movieCount: 10 } },
+    top_ten: { records: { scores: [score('gunblood', 10)] } },
+    top_three: { records: { scores: [score('gunblood', 10)] } },
+    number_one: { records: { scores: [score('gunblood', 10)] } },
+    mad_money: { user: { xp: 100000 } },
+    early_bird: { records: { arcadeOpenedAt: Date.now() - 2 * DAY_MS } },
+    veteran: { user: { registered_at: new Date(Date.now() - 366 * DAY_MS).toISOString() } },
+    completionist: { records: { unlockedCount: ACHIEVEMENTS.length - 1 } },
+    running_mates: { records: { tournaments: ['a', 'b', 'c', 'd', 'e'].map(id => tournament(id, [PLAYER])) } },
+    mrs_soffel: { records: { friendLinks: friends(25).map(link => ({ ...link, from: link.to, to: PLAYER })) } },
+    looking_goodbar: { user: { game_plays: { candymachine: 1, jawbreaker: 1 } } },
+    little_drummer_girl: { records: { plays: Array.from({ length: 100 }, (_, i) => play('gunblood', day(i * 2))) } },
+    mamas_boy: { records: { plays: Array.from({ length: 100 }, (_, i) => play('gunblood', day(i))) } },
+    because_said_so: { user: { avatar: 'avatar.png', banner: 'banner.png', bio: 'Hi' } },
+    family_stone: { records: { plays: [play('gunblood', new Date(2025, 11, 25, 12))] } },
+    finding_dory: { user: { game_plays: Object.fromEntries(scorelessGames.map(id => [id, 1])) } },
+    poms: { records: { tournaments: [tournament('a', [PLAYER])] } },
+    loves_labours_lost: { records: { scores: [score('gunblood', 100), score('gunblood', 50, { at: day(1) }), score('gunblood', 60, { at: day(2) })] } },
+    hampstead: { records: { scores: [score('robotunicornattack', 10), score('gunblood', 10, { autoTracked: false })] } },
+    amelia: { user: { total_plays: 1000 } },
+    wildflower: {
+        records: {
+            dailyChallenges: [{ date: '2025-03-01', game_id: 'SnowLine2', completions: [] }],
+            plays: [{ userId: PLAYER, game_id: 'SnowLine2', timestamp: '2025-03-01T12:00:00.000Z' }]
+        }
+    },
+    and_so_it_goes: { user: { oauth: { discord: { id: '1234' } } } },
+    ninja_turtles: { records: { tournaments: [tournament('a', [PLAYER, 'kay'], [{ rank: 1, user_id: PLAYER }, { rank: 2, user_id: 'kay' }])] } },
+    china_syndrome: { records: { dailyChallenges: [{ date: '2025-03-01', game_id: 'SnowLine2', completions: [{ userId: PLAYER }] }] } },
+    crossing_delancey: { user: { high_scores: { gunblood: best(50000) } } },
+    wines_roses: { records: { scores: improvingRuns(100) } },
+    crimes_heart: { records: { friendLinks: friends(2), tournaments: [tournament('a', [PLAYER, 'friend0', 'friend1'])] } },
+    ladies_night: { records: { friendLinks: friends(3), plays: [PLAYER, 'friend0', 'friend1', 'friend2'].map(id => play('gunblood', day(0), id)) } },
+    reunion: { records: { plays: [play('gunblood', day(0)), play('gunblood', day(31))] } },
+    unstrung_heroes: { records: { unlockedCount: 25 } },
+    godmothered: { records: { ratings: [{ game_id: 'gunblood', stars: 5 }] } },
+    sextuplets: { records: { plays: ['gunblood', 'candymachine', 'jawbreaker', 'motherload', 'raftwars', 'raftwars2'].map(id => play(id)) } }
+};
+
+function statsFor({ user = {}, records = {} } = {}) {
+    return buildAchievementStats(makeUser(user), makeRecords(records));
+}
+
+function find(id) {
+    return ACHIEVEMENTS.find(a => a.id === id);
+}
+
+test('every achievement can be unlocked', () => {
+    assert.deepEqual(ACHIEVEMENTS.filter(a => !a.check).map(a => a.id), []);
+    assert.deepEqual(ACHIEVEMENTS.filter(a => !UNLOCKS[a.id]).map(a => a.id), []);
+});
+
+ACHIEVEMENTS.forEach(achievement => {
+    test(`${achievement.id} unlocks`, () => {
+        assert.equal(Boolean(achievement.check(statsFor(UNLOCKS[achievement.id]))), true);
+    });
+});
+
+test('a brand-new player only has First Steps', () => {
+    const unlocked = ACHIEVEMENTS.filter(a => a.check(statsFor())).map(a => a.id);
+    assert.deepEqual(unlocked, ['first_steps']);
+});
+
+test('First Wives Club ignores games without a real score adapter', () => {
+    const check = find('first_wives_club').check;
+    // Typed-in scores, scoreless games and missing games don't have to be played
+    assert.equal(check(statsFor({ user: { high_scores: { robotunicornattack: best(10) } } })), false);
+    assert.equal(check(statsFor(UNLOCKS.first_wives_club)), true);
+
+    const noTrustedGames = GAMES.map(g => ({ ...g, trusted: false }));
+    assert.equal(check(statsFor({ records: { games: noTrustedGames } })), false);
+});
+
+test('Zombie Hunter only asks for the Earn to Die games in the arcade', () => {
+    const check = find('zombie_hunter').check;
+    assert.equal(check(statsFor()), false);
+
+    const noEarnToDie = GAMES.filter(g => !g.id.startsWith('earntodie'));
+    assert.equal(check(statsFor({ user: { game_plays: { earntodie: 1 } }, records: { games: noEarnToDie } })), false);
+});
+
+test('imported high scores count toward nothing', () => {
+    const stats = statsFor({ user: { high_scores: { robotunicornattack: { ...best(100000), imported: true } } } });
+    assert.equal(find('unicorn_master').check(stats), false);
+    assert.equal(find('crossing_delancey').check(stats), false);
+});
+
+test('a run that falls short of the best is a loss, not a win', () => {
+    const stats = statsFor({ records: { scores: [score('gunblood', 100), score('gunblood', 100, { at: day(1) }), score('gunblood', 150, { at: day(2) })] } });
+    assert.equal(stats.wins, 2);
+    assert.equal(stats.losses, 1);
+    assert.equal(stats.longestWinStreak, 1);
+    assert.equal(stats.flawlessGame, false);
+});
+
+test('friends only count from when the friendship started', () => {
+    const stats = statsFor({
+        records: {
+            friendLinks: [friendship('kay', { acceptedAt: day(5) })],
+            unlocks: [{ userId: 'kay', achievementId: 'annie_hall', unlockedAt: day(1).toISOString() }]
+        }
+    });
+    assert.equal(find('other_sister').check(stats), false);
+});